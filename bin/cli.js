@@ -10,17 +10,215 @@ var path = require('path');
 var prompt = require('prompt');
 var url = require('url');
 var colors = require('colors/safe');
-var through = require('through');
+var util = require('util');
 var storj = require('storj');
-var os = require('os');
+var crypto = require('crypto');
 
 var HOME = platform !== 'win32' ? process.env.HOME : process.env.USERPROFILE;
-var DATADIR = path.join(HOME, '.storjcli');
-var KEYPATH = path.join(DATADIR, 'id_ecdsa');
-var KEYRINGPATH = path.join(DATADIR, 'keyring');
+var ROOTDIR = path.join(HOME, '.storjcli');
+var PROFILESPATH = path.join(ROOTDIR, 'profiles.json');
+var DEFAULT_PROFILE = 'default';
+var MASTERSEED_ID = 'masterseed';
+
+var EXIT_CODES = {
+  error: 1,
+  validation: 2,
+  auth: 3,
+  notfound: 4,
+  network: 5
+};
+
+var SETTINGS = {
+  url: {
+    type: 'string',
+    flag: 'url',
+    description: 'base url for the bridge api'
+  },
+  keypass: {
+    type: 'string',
+    flag: 'keypass',
+    secret: true,
+    description: 'passphrase to unlock the key and keyring without prompt'
+  },
+  reusepass: {
+    type: 'boolean',
+    default: true,
+    description: 'try the private key passphrase on the keyring first'
+  },
+  bucket: {
+    type: 'string',
+    description: 'bucket id used where "default" is given as the bucket'
+  },
+  concurrency: {
+    type: 'number',
+    default: bridge.Client.DEFAULTS.concurrency,
+    description: 'maximum number of concurrent shard transfers'
+  },
+  color: {
+    type: 'boolean',
+    description: 'colorize output, detected from the terminal if not set'
+  },
+  encryptmeta: {
+    type: 'boolean',
+    default: false,
+    description: 'encrypt the names, types and metadata of uploaded files'
+  },
+  redundancy: {
+    type: 'number',
+    default: 1,
+    description: 'number of distinct farmers to store each shard with'
+  }
+};
+
+var PROFILE, DATADIR, KEYPATH, KEYRINGPATH, UPLOADSDIR, SYNCSDIR, CONFIGPATH;
+var currentConfig = null;
+
+var unlockedKeyPair = null;
+var sessionPassphrase = null;
+
+if (!fs.existsSync(ROOTDIR)) {
+  fs.mkdirSync(ROOTDIR);
+}
+
+function loadProfiles() {
+  var profiles = fs.existsSync(PROFILESPATH) ?
+                 JSON.parse(fs.readFileSync(PROFILESPATH).toString()) :
+                 { current: DEFAULT_PROFILE, profiles: {} };
+
+  profiles.profiles[DEFAULT_PROFILE] = profiles.profiles[DEFAULT_PROFILE] || {};
+
+  return profiles;
+}
+
+function saveProfiles(profiles) {
+  fs.writeFileSync(PROFILESPATH, JSON.stringify(profiles, null, 2));
+}
+
+function getProfileDir(name) {
+  // NB: The default profile keeps the data directory used before profiles
+  return name === DEFAULT_PROFILE ?
+         ROOTDIR :
+         path.join(ROOTDIR, 'profiles', name);
+}
+
+function selectProfile(name) {
+  if (!loadProfiles().profiles[name]) {
+    fail('validation', 'No profile named "%s", see "profiles list"', [name]);
+    process.exit(EXIT_CODES.validation);
+  }
+
+  PROFILE = name;
+  DATADIR = getProfileDir(name);
+  KEYPATH = path.join(DATADIR, 'id_ecdsa');
+  KEYRINGPATH = path.join(DATADIR, 'keyring');
+  UPLOADSDIR = path.join(DATADIR, 'uploads');
+  SYNCSDIR = path.join(DATADIR, 'syncs');
+  CONFIGPATH = path.join(DATADIR, 'config.json');
+  currentConfig = null;
+
+  [path.dirname(DATADIR), DATADIR, UPLOADSDIR, SYNCSDIR].forEach(function(dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+  });
+}
+
+function getRequestedProfile() {
+  var args = process.argv.slice(2);
+
+  // NB: The profile decides where everything else is loaded from, so it is
+  // picked out of the arguments before commander parses them
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--profile') {
+      return args[i + 1];
+    }
+
+    if (args[i].indexOf('--profile=') === 0) {
+      return args[i].substr('--profile='.length);
+    }
+  }
+
+  return process.env.STORJ_PROFILE || loadProfiles().current;
+}
+
+function loadConfig(configpath) {
+  if (!fs.existsSync(configpath)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(configpath).toString());
+}
+
+function saveConfig(configpath, config) {
+  fs.writeFileSync(configpath, JSON.stringify(config, null, 2));
+}
+
+function parseSetting(name, value) {
+  var setting = SETTINGS[name];
+
+  if (!setting) {
+    throw new Error(util.format('Unknown setting "%s"', name));
+  }
+
+  switch (setting.type) {
+    case 'number':
+      if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new Error(util.format('Setting "%s" must be a number', name));
+      }
+
+      return Number(value);
+    case 'boolean':
+      if (['true', 'false'].indexOf(String(value)) === -1) {
+        throw new Error(
+          util.format('Setting "%s" must be true or false', name)
+        );
+      }
+
+      return String(value) === 'true';
+    default:
+      return String(value);
+  }
+}
 
-if (!fs.existsSync(DATADIR)) {
-  fs.mkdirSync(DATADIR);
+function getSetting(name) {
+  var setting = SETTINGS[name];
+  var env = process.env['STORJ_' + name.toUpperCase()];
+
+  if (setting.flag && program[setting.flag] !== undefined) {
+    return program[setting.flag];
+  }
+
+  if (env !== undefined) {
+    return parseSetting(name, env);
+  }
+
+  currentConfig = currentConfig || loadConfig(CONFIGPATH);
+
+  // NB: Secrets are never read from the config file, which is not encrypted
+  if (!setting.secret && currentConfig[name] !== undefined) {
+    return currentConfig[name];
+  }
+
+  return setting.default;
+}
+
+function withDefaultBucket(action) {
+  return function(bucket) {
+    var args = Array.prototype.slice.call(arguments);
+
+    if (bucket === 'default') {
+      args[0] = getSetting('bucket');
+
+      if (!args[0]) {
+        return fail(
+          'validation',
+          'No default bucket set, see "config set bucket"'
+        );
+      }
+    }
+
+    action.apply(this, args);
+  };
 }
 
 prompt.message = colors.bold.cyan(' [...]');
@@ -29,8 +227,36 @@ prompt.delimiter = colors.cyan('  > ');
 program.version(require('../package').version);
 program.option('-u, --url <url>', 'set the base url for the api');
 program.option('-k, --keypass <password>', 'unlock keyring without prompt');
+program.option('--profile <name>', 'use the named profile (or STORJ_PROFILE)');
+program.option('--json', 'print results and errors as json');
+program.on('--help', function() {
+  console.log('  Exit codes:');
+  console.log('');
+  Object.keys(EXIT_CODES).forEach(function(failure) {
+    console.log('    %s  %s', EXIT_CODES[failure], failure);
+  });
+  console.log('');
+});
 
 function log(type, message, args) {
+  if (typeof getSetting('color') === 'boolean') {
+    colors.enabled = getSetting('color');
+  }
+
+  if (type === 'error') {
+    return fail('error', message, args);
+  }
+
+  if (program.json) {
+    if (type === 'warn') {
+      console.error(JSON.stringify({
+        warning: util.format.apply(util, [message].concat(args || []))
+      }));
+    }
+
+    return;
+  }
+
   switch (type) {
     case 'info':
       message = colors.bold.cyan(' [info]   ') + message;
@@ -38,74 +264,716 @@ function log(type, message, args) {
     case 'warn':
       message = colors.bold.yellow(' [warn]   ') + message;
       break;
-    case 'error':
-      message = colors.bold.red(' [error]  ') + message;
-      break;
   }
 
-  console.log.apply(console, [message].concat(args || []));
+  (type === 'warn' ? console.error : console.log).apply(
+    console,
+    [message].concat(args || [])
+  );
+}
+
+function fail(failure, message, args) {
+  message = util.format.apply(util, [message].concat(args || []));
+  process.exitCode = EXIT_CODES[failure];
+
+  if (program.json) {
+    return console.error(JSON.stringify({
+      error: { type: failure, code: EXIT_CODES[failure], message: message }
+    }));
+  }
+
+  console.error(colors.bold.red(' [error]  ') + message);
+}
+
+function getFailure(err) {
+  if (err instanceof bridge.errors.AuthenticationError) {
+    return 'auth';
+  }
+
+  if (err instanceof bridge.errors.NotFoundError) {
+    return 'notfound';
+  }
+
+  if (err instanceof bridge.errors.ValidationError) {
+    return 'validation';
+  }
+
+  if (err instanceof bridge.errors.BridgeError ||
+      err instanceof bridge.errors.TransferError) {
+    return 'network';
+  }
+
+  return 'error';
+}
+
+function failWithError(err) {
+  fail(getFailure(err), '%s', [err.message]);
+}
+
+function report(result, print) {
+  if (program.json) {
+    return console.log(JSON.stringify(result, null, 2));
+  }
+
+  print();
 }
 
 function loadKeyPair() {
+  if (!unlockedKeyPair) {
+    fail('auth', 'You have not authenticated, please login.');
+    process.exit(EXIT_CODES.auth);
+  }
+
+  return unlockedKeyPair;
+}
+
+function promptPassphrase(description, callback) {
+  prompt.start();
+  prompt.get({
+    properties: {
+      passphrase: {
+        description: description,
+        replace: '*',
+        hidden: true,
+        default: ''
+      }
+    }
+  }, function(err, result) {
+    if (err) {
+      return failWithError(err);
+    }
+
+    callback(result.passphrase);
+  });
+}
+
+function getNewPassphrase(description, callback) {
+  prompt.start();
+  prompt.get({
+    properties: {
+      passphrase: {
+        description: description,
+        replace: '*',
+        hidden: true,
+        required: true
+      },
+      confirmation: {
+        description: 'Confirm the new passphrase',
+        replace: '*',
+        hidden: true,
+        required: true
+      }
+    }
+  }, function(err, result) {
+    if (err) {
+      return failWithError(err);
+    }
+
+    if (!result.passphrase) {
+      return fail('validation', 'Passphrase cannot be empty');
+    }
+
+    if (result.passphrase !== result.confirmation) {
+      return fail('validation', 'Passphrases do not match');
+    }
+
+    callback(result.passphrase);
+  });
+}
+
+function getPassphrase(description, callback) {
+  if (getSetting('keypass')) {
+    return callback(getSetting('keypass'));
+  }
+
+  if (!process.stdin.isTTY) {
+    return fail('auth', 'Cannot prompt for passphrase, use --keypass');
+  }
+
+  promptPassphrase(description, function(passphrase) {
+    sessionPassphrase = passphrase;
+    callback(passphrase);
+  });
+}
+
+function getNewKeyPassphrase(description, callback) {
+  if (getSetting('keypass')) {
+    return callback(getSetting('keypass'));
+  }
+
+  if (!process.stdin.isTTY) {
+    return fail('auth', 'Cannot prompt for passphrase, use --keypass');
+  }
+
+  getNewPassphrase(description, function(passphrase) {
+    sessionPassphrase = passphrase;
+    callback(passphrase);
+  });
+}
+
+function saveKeyPair(keypair, passphrase) {
+  fs.writeFileSync(KEYPATH, keypair.toEncryptedJSON(passphrase));
+  fs.chmodSync(KEYPATH, parseInt('0600', 8));
+}
+
+function getKeyPair(callback) {
   if (!fs.existsSync(KEYPATH)) {
-    log('error', 'You have not authenticated, please login.');
-    process.exit();
+    fail('auth', 'You have not authenticated, please login.');
+    process.exit(EXIT_CODES.auth);
   }
 
-  return bridge.KeyPair(fs.readFileSync(KEYPATH).toString());
+  var contents = fs.readFileSync(KEYPATH).toString();
+
+  if (!bridge.KeyPair.isEncryptedJSON(contents)) {
+    return getNewKeyPassphrase(
+      'Enter a passphrase to protect your private key',
+      function(passphrase) {
+        unlockedKeyPair = bridge.KeyPair(contents.trim());
+        saveKeyPair(unlockedKeyPair, passphrase);
+        log('info', 'Your private key is now stored encrypted.');
+        callback(unlockedKeyPair);
+      }
+    );
+  }
+
+  getPassphrase(
+    'Enter your passphrase to unlock your private key',
+    function(passphrase) {
+      try {
+        unlockedKeyPair = bridge.KeyPair.fromEncryptedJSON(
+          contents,
+          passphrase
+        );
+      } catch (err) {
+        return fail('auth', '%s', [err.message]);
+      }
+
+      callback(unlockedKeyPair);
+    }
+  );
+}
+
+function withKeyPair(action) {
+  return function() {
+    var self = this;
+    var args = arguments;
+
+    getKeyPair(function() {
+      action.apply(self, args);
+    });
+  };
 }
 
-function PrivateClient() {
-  return bridge.Client(program.url, {
-    keypair: loadKeyPair()
+function PrivateClient(keyring) {
+  return bridge.Client(getSetting('url'), {
+    keypair: loadKeyPair(),
+    concurrency: getSetting('concurrency'),
+    keyStore: keyring,
+    masterSeed: keyring ? getMasterSeed(keyring) : null
   });
 }
 
 function PublicClient() {
-  return bridge.Client(program.url);
+  return bridge.Client(getSetting('url'));
+}
+
+function openKeyRing(passphrase) {
+  try {
+    return storj.KeyRing(KEYRINGPATH, passphrase);
+  } catch (err) {
+    return null;
+  }
 }
 
 function getKeyRing(callback) {
-  if (program.keypass) {
-    var keyring;
+  var keyring;
 
-    try {
-      keyring = storj.KeyRing(KEYRINGPATH, program.keypass);
-    } catch (err) {
-      return log('error', 'Could not unlock keyring, bad password?');
+  if (getSetting('keypass')) {
+    keyring = openKeyRing(getSetting('keypass'));
+
+    if (!keyring) {
+      return fail('auth', 'Could not unlock keyring, bad password?');
     }
 
     return callback(keyring);
   }
 
+  keyring = sessionPassphrase === null || !getSetting('reusepass') ?
+            null :
+            openKeyRing(sessionPassphrase);
+
+  if (keyring) {
+    return callback(keyring);
+  }
+
   var description = fs.existsSync(KEYRINGPATH) ?
                     'Enter your passphrase to unlock your keyring' :
                     'Enter a passphrase to protect your keyring';
 
+  promptPassphrase(description, function(passphrase) {
+    var keyring = openKeyRing(passphrase);
+
+    if (!keyring) {
+      return fail('auth', 'Could not unlock keyring, bad password?');
+    }
+
+    callback(keyring);
+  });
+}
+
+function getArchivePassphrase(confirm, callback) {
+  var properties = {
+    passphrase: {
+      description: 'Enter the passphrase for the keyring archive',
+      replace: '*',
+      hidden: true,
+      required: true
+    }
+  };
+
+  if (confirm) {
+    properties.confirmation = {
+      description: 'Confirm the passphrase for the keyring archive',
+      replace: '*',
+      hidden: true,
+      required: true
+    };
+  }
+
+  prompt.start();
+  prompt.get({ properties: properties }, function(err, result) {
+    if (err) {
+      return failWithError(err);
+    }
+
+    if (confirm && result.passphrase !== result.confirmation) {
+      return fail('validation', 'Passphrases do not match');
+    }
+
+    callback(result.passphrase);
+  });
+}
+
+function readKeyRingArchive(archivepath, callback) {
+  if (!fs.existsSync(archivepath)) {
+    return fail('notfound', 'No keyring archive found at %s', [archivepath]);
+  }
+
+  getKeyRing(function(keyring) {
+    getArchivePassphrase(false, function(passphrase) {
+      var keys;
+
+      try {
+        keys = bridge.keyringArchive.openArchive(
+          fs.readFileSync(archivepath).toString(),
+          passphrase
+        );
+      } catch (err) {
+        return fail('validation', '%s', [err.message]);
+      }
+
+      callback(keyring, keys);
+    });
+  });
+}
+
+function getMasterSeed(keyring) {
+  var entry = keyring.get(MASTERSEED_ID);
+
+  return entry ? entry.toObject().pass : null;
+}
+
+function removeFromKeyRing(keyring, id) {
+  delete keyring._keys[id];
+  keyring._saveKeyRingToDisk();
+}
+
+function getManifestPath(uploadId) {
+  return path.join(UPLOADSDIR, uploadId + '.json');
+}
+
+function getSyncStatePath(bucket, localdir) {
+  var id = storj.utils.sha256(bucket + ':' + path.resolve(localdir));
+
+  return path.join(SYNCSDIR, id + '.json');
+}
+
+function parseRange(value) {
+  var match = /^(\d+)-(\d*)$/.exec(value || '');
+
+  if (!match || (match[2] && Number(match[2]) < Number(match[1]))) {
+    return null;
+  }
+
+  return {
+    start: Number(match[1]),
+    end: match[2] ? Number(match[2]) : undefined
+  };
+}
+
+function formatBytes(bytes) {
+  var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  var unit = 0;
+
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+
+  return bytes.toFixed(unit ? 1 : 0) + ' ' + units[unit];
+}
+
+function formatDuration(seconds) {
+  var minutes = Math.floor(seconds / 60);
+
+  seconds = Math.floor(seconds % 60);
+
+  return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+}
+
+function showProgress(transfer) {
+  var started = Date.now();
+  var drawn = 0;
+  var width = 30;
+
+  if (program.json || !process.stderr.isTTY) {
+    return;
+  }
+
+  function clear() {
+    process.stderr.write('\r\x1b[K');
+  }
+
+  function draw(status) {
+    var elapsed = (Date.now() - started) / 1000;
+    var rate = elapsed ? status.bytesTransferred / elapsed : 0;
+    var ratio = status.totalBytes ?
+                Math.min(status.bytesTransferred / status.totalBytes, 1) :
+                0;
+    var filled = Math.round(ratio * width);
+    var eta = rate ? (status.totalBytes - status.bytesTransferred) / rate : 0;
+
+    clear();
+    process.stderr.write(util.format(
+      colors.bold.cyan(' [...]') + '    [%s%s] %s%%  %s of %s  %s/s  ETA %s',
+      new Array(filled + 1).join('='),
+      new Array(width - filled + 1).join(' '),
+      (ratio * 100).toFixed(1),
+      formatBytes(status.bytesTransferred),
+      formatBytes(status.totalBytes),
+      formatBytes(rate),
+      formatDuration(eta)
+    ));
+  }
+
+  transfer.on('progress', function(status) {
+    if (Date.now() - drawn < 250) {
+      return;
+    }
+
+    drawn = Date.now();
+    draw(status);
+  });
+
+  transfer.on('retry', function(index, farmer, err) {
+    clear();
+    log('warn', 'Retrying shard %s, farmer %s failed: %s', [
+      index,
+      storj.utils.getContactURL(farmer),
+      err.message
+    ]);
+  });
+
+  transfer.on('finish', function(status) {
+    draw(status);
+    process.stderr.write('\n');
+  });
+
+  transfer.then(null, clear);
+}
+
+function handleUploadResult(uploadId, manifest, keyring, upload) {
+  if (upload instanceof bridge.Transfer) {
+    showProgress(upload);
+  }
+
+  upload.then(function(file) {
+    log('info', 'Cleaning up...');
+
+    if (fs.existsSync(manifest.get('tmppath'))) {
+      fs.unlinkSync(manifest.get('tmppath'));
+    }
+
+    manifest.destroy();
+
+    if (keyring.get(uploadId)) {
+      keyring.set(file.id, keyring.get(uploadId));
+      removeFromKeyRing(keyring, uploadId);
+    }
+
+    report(file, function() {
+      log('info', 'Encryption key saved to keyring.');
+      log('info', 'File successfully stored in bucket.');
+      log(
+        'info',
+        'Name: %s, Type: %s, Size: %s bytes, ID: %s',
+        [file.filename, file.mimetype, file.size, file.id]
+      );
+    });
+  }, function(err) {
+    failWithError(err);
+    log('warn', 'Resume this upload with "resumeupload %s"', [uploadId]);
+  });
+}
+
+function getUploadOptions(manifest, options) {
+  options.encryptMetadata = !!manifest.get('encryptMetadata');
+  options.metadata = manifest.get('metadata') || null;
+  options.redundancy = manifest.get('redundancy') || 1;
+
+  return options;
+}
+
+function getDownloadTarget(keyring, bucket, id, filepath) {
+  var client = PrivateClient(keyring);
+  var isDir = filepath && fs.existsSync(filepath) &&
+              fs.statSync(filepath).isDirectory();
+
+  return client.listFilesInBucket(bucket).then(function(files) {
+    return client.decryptFileMetadata(bucket, files.filter(function(file) {
+      return file.id === id;
+    }));
+  }).then(function(files) {
+    var file = files[0] || null;
+
+    if (filepath && !isDir) {
+      return { path: filepath, file: file };
+    }
+
+    if (!file) {
+      throw new bridge.errors.NotFoundError(
+        util.format('No file with id %s in bucket', id)
+      );
+    }
+
+    // NB: The stored name may be a path or come from someone else's upload,
+    // so only its last segment is used as the local name
+    return {
+      path: path.join(filepath || '.', path.basename(file.filename)),
+      file: file
+    };
+  });
+}
+
+function uploadWithDerivedKey(bucket, filepath, uploadId, manifest, keyring) {
+  manifest.set('bucket', bucket);
+  manifest.set('source', filepath);
+  log('info', 'Creating storage token...');
+  PrivateClient().createToken(bucket, 'PUSH').then(function(token) {
+    log('info', 'Encrypting with key derived from master seed...');
+    log('info', 'Storing file, hang tight!');
+    log('info', 'Upload ID: %s', [uploadId]);
+    handleUploadResult(
+      uploadId,
+      manifest,
+      keyring,
+      PrivateClient(keyring).storeEncryptedFileInBucket(
+        bucket,
+        token.token,
+        filepath,
+        getUploadOptions(manifest, { manifest: manifest })
+      )
+    );
+  }, function(err) {
+    handleUploadResult(uploadId, manifest, keyring, Promise.reject(err));
+  });
+}
+
+function resumeWithDerivedKey(uploadId, manifest, keyring) {
+  if (!getMasterSeed(keyring)) {
+    return fail('notfound', 'No master seed found in key ring!');
+  }
+
+  log('info', 'Creating storage token...');
+  PrivateClient().createToken(manifest.get('bucket'), 'PUSH').then(
+    function(token) {
+      log('info', 'Resuming upload, hang tight!');
+      handleUploadResult(
+        uploadId,
+        manifest,
+        keyring,
+        PrivateClient(keyring).resumeFileUpload(token.token, manifest)
+      );
+    },
+    function(err) {
+      handleUploadResult(uploadId, manifest, keyring, Promise.reject(err));
+    }
+  );
+}
+
+function uploadStdin(bucket, filename, uploadOptions) {
+  if (!getSetting('keypass')) {
+    return fail(
+      'validation',
+      'Uploading from stdin requires the --keypass option'
+    );
+  }
+
+  getKeyRing(function(keyring) {
+    uploadWithRandomKey(bucket, process.stdin, keyring, {
+      filename: filename,
+      encryptMetadata: uploadOptions.encryptMetadata,
+      metadata: uploadOptions.metadata,
+      redundancy: uploadOptions.redundancy
+    });
+  });
+}
+
+function uploadWithRandomKey(bucket, source, keyring, options) {
+  log('info', 'Creating storage token...');
+  PrivateClient().createToken(bucket, 'PUSH').then(function(token) {
+    var upload = PrivateClient(keyring).storeEncryptedFileInBucket(
+      bucket,
+      token.token,
+      source,
+      options
+    );
+
+    log('info', 'Encrypting and storing %s, hang tight!', [options.filename]);
+    showProgress(upload);
+
+    return upload;
+  }).then(function(file) {
+    report(file, function() {
+      log('info', 'Encryption key saved to keyring.');
+      log('info', 'File successfully stored in bucket.');
+      log(
+        'info',
+        'Name: %s, Type: %s, Size: %s bytes, ID: %s',
+        [file.filename, file.mimetype, file.size, file.id]
+      );
+    });
+  }, function(err) {
+    failWithError(err);
+  });
+}
+
+function restoreFromMnemonic() {
   prompt.start();
   prompt.get({
     properties: {
-      passphrase: {
-        description: description,
+      mnemonic: {
+        description: 'Enter the mnemonic phrase for this device',
         replace: '*',
         hidden: true,
-        default: ''
+        required: true
       }
     }
   }, function(err, result) {
     if (err) {
-      return log('error', err.message);
+      return failWithError(err);
     }
 
-    var keyring;
+    var keypair;
 
     try {
-      keyring = storj.KeyRing(KEYRINGPATH, result.passphrase);
+      keypair = bridge.KeyPair.fromMnemonic(result.mnemonic);
     } catch (err) {
-      return log('error', 'Could not unlock keyring, bad password?');
+      return fail('validation', '%s', [err.message]);
     }
 
-    callback(keyring);
+    getNewKeyPassphrase(
+      'Enter a passphrase to protect your private key',
+      function(passphrase) {
+        bridge.Client(getSetting('url'), {
+          keypair: keypair
+        }).getPublicKeys().then(function() {
+          saveKeyPair(keypair, passphrase);
+          log('info', 'This device has been successfully paired.');
+        }, function(err) {
+          fail(
+            getFailure(err),
+            'Could not authenticate with the restored key: %s',
+            [err.message]
+          );
+        });
+      }
+    );
+  });
+}
+
+function listProfiles(config) {
+  var profiles = Object.keys(config.profiles).map(function(name) {
+    return {
+      name: name,
+      current: name === PROFILE,
+      url: loadConfig(path.join(getProfileDir(name), 'config.json')).url ||
+           null,
+      data: getProfileDir(name)
+    };
+  });
+
+  report(profiles, function() {
+    profiles.forEach(function(profile) {
+      log('info', '%s %s (url: %s, data: %s)', [
+        profile.current ? '*' : ' ',
+        profile.name,
+        profile.url || 'default',
+        profile.data
+      ]);
+    });
+  });
+}
+
+function listSettings() {
+  var settings = Object.keys(SETTINGS).map(function(key) {
+    var value = getSetting(key);
+
+    if (value !== undefined && SETTINGS[key].secret) {
+      value = '********';
+    }
+
+    return {
+      key: key,
+      value: value === undefined ? null : value,
+      description: SETTINGS[key].description
+    };
+  });
+
+  report(settings, function() {
+    settings.forEach(function(setting) {
+      log('info', '%s = %s - %s', [
+        setting.key,
+        setting.value === null ? '(not set)' : setting.value,
+        setting.description
+      ]);
+    });
+  });
+}
+
+function parseLimit(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+function collect(value, list) {
+  list.push(value);
+
+  return list;
+}
+
+function readList(list) {
+  var items = [];
+
+  return new Promise(function(resolve, reject) {
+    list.on('data', function(item) {
+      items.push(item);
+    }).on('error', reject).on('end', function() {
+      resolve(items);
+    });
   });
 }
 
@@ -130,21 +998,23 @@ function getCredentials(callback) {
 var ACTIONS = {
   getinfo: function getinfo() {
     PublicClient().getInfo().then(function(info) {
-      log('info', 'Title:             %s', [info.info.title]);
-      log('info', 'Description:       %s', [info.info.description]);
-      log('info', 'Version:           %s', [info.info.version]);
-      log('info', 'Host:              %s', [info.host]);
-      info.info['x-network-seeds'].forEach(function(seed, i) {
-        log('info', 'Network Seed (%s):  %s', [i, seed]);
+      report(info, function() {
+        log('info', 'Title:             %s', [info.info.title]);
+        log('info', 'Description:       %s', [info.info.description]);
+        log('info', 'Version:           %s', [info.info.version]);
+        log('info', 'Host:              %s', [info.host]);
+        info.info['x-network-seeds'].forEach(function(seed, i) {
+          log('info', 'Network Seed (%s):  %s', [i, seed]);
+        });
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   register: function register() {
     getCredentials(function(err, result) {
       if (err) {
-        return log('error', err.message);
+        return failWithError(err);
       }
 
       PublicClient().createUser(
@@ -152,102 +1022,156 @@ var ACTIONS = {
       ).then(function() {
         log('info', 'Registered! Check your email to activate your account.');
       }, function(err) {
-        log('error', err.message);
+        failWithError(err);
       });
     });
   },
   login: function login() {
     if (fs.existsSync(KEYPATH)) {
-      return log('error', 'This device is already paired.');
+      return fail('validation', 'This device is already paired.');
+    }
+
+    if (this.mnemonic) {
+      return restoreFromMnemonic();
     }
 
     getCredentials(function(err, result) {
       if (err) {
-        return log('error', err.message);
+        return failWithError(err);
       }
 
-      var client = bridge.Client(program.url, {
+      var client = bridge.Client(getSetting('url'), {
         basicauth: result
       });
       var keypair = bridge.KeyPair();
 
-      client.addPublicKey(keypair.getPublicKey()).then(function(result) {
-        fs.writeFileSync(KEYPATH, keypair.getPrivateKey());
-        log('info', 'This device has been successfully paired.');
-      }, function(err) {
-        log('error', err.message);
-      });
+      getNewKeyPassphrase(
+        'Enter a passphrase to protect your private key',
+        function(passphrase) {
+          client.addPublicKey(keypair.getPublicKey()).then(function() {
+            saveKeyPair(keypair, passphrase);
+            log('info', 'This device has been successfully paired.');
+          }, function(err) {
+            failWithError(err);
+          });
+        }
+      );
+    });
+  },
+  changekeypass: function changekeypass() {
+    var keypair = loadKeyPair();
+
+    getNewPassphrase(
+      'Enter a new passphrase for your private key',
+      function(passphrase) {
+        saveKeyPair(keypair, passphrase);
+        log('info', 'Passphrase for private key has been changed.');
+      }
+    );
+  },
+  showmnemonic: function showmnemonic() {
+    var keypair = loadKeyPair();
+
+    log('warn', 'Anyone with this phrase can access your account!');
+    report({ mnemonic: keypair.toMnemonic() }, function() {
+      log('info', 'Mnemonic: %s', [keypair.toMnemonic()]);
     });
   },
   logout: function logout() {
     var keypair = loadKeyPair();
 
-    PrivateClient().destroyPublicKey(keypair.getPublicKey()).then(function() {
+    var pubkey = keypair.getPublicKey();
+
+    PrivateClient().destroyPublicKey(pubkey).then(function() {
       fs.unlinkSync(KEYPATH);
-      log('info', 'This device has been successfully unpaired.');
+      report({ key: pubkey, unpaired: true, revoked: true }, function() {
+        log('info', 'This device has been successfully unpaired.');
+      });
     }, function(err) {
       fs.unlinkSync(KEYPATH);
-      log('info', 'This device has been successfully unpaired.');
       log('warn', 'Failed to revoke key, you may need to do it manually.');
       log('warn', 'Reason: ' + err.message);
+      report({ key: pubkey, unpaired: true, revoked: false }, function() {
+        log('info', 'This device has been successfully unpaired.');
+      });
     });
   },
   listkeys: function listkeys() {
     PrivateClient().getPublicKeys().then(function(keys) {
-      keys.forEach(function(key) {
-        log('info', key.key);
+      report(keys, function() {
+        keys.forEach(function(key) {
+          log('info', key.key);
+        });
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   addkey: function addkey(pubkey) {
     PrivateClient().addPublicKey(pubkey).then(function() {
-      log('info', 'Key successfully registered.');
+      report({ key: pubkey, added: true }, function() {
+        log('info', 'Key successfully registered.');
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   removekey: function removekey(pubkey) {
     PrivateClient().destroyPublicKey(pubkey).then(function() {
-      log('info', 'Key successfully revoked.');
+      report({ key: pubkey, removed: true }, function() {
+        log('info', 'Key successfully revoked.');
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   listbuckets: function listbuckets() {
-    PrivateClient().getBuckets().then(function(buckets) {
-      if (!buckets.length) {
-        return log('warn', 'You have not created any buckets.');
-      }
+    var limit = parseLimit(this.limit);
 
-      buckets.forEach(function(bucket) {
-        log(
-          'info',
-          'ID: %s, Name: %s, Storage: %s, Transfer: %s',
-          [bucket.id, bucket.name, bucket.storage, bucket.transfer]
-        );
+    if (limit === null) {
+      return fail('validation', 'Limit must be a positive number');
+    }
+
+    readList(PrivateClient().createBucketListStream({
+      limit: limit
+    })).then(function(buckets) {
+      report(buckets, function() {
+        if (!buckets.length) {
+          return log('warn', 'You have not created any buckets.');
+        }
+
+        buckets.forEach(function(bucket) {
+          log(
+            'info',
+            'ID: %s, Name: %s, Storage: %s, Transfer: %s',
+            [bucket.id, bucket.name, bucket.storage, bucket.transfer]
+          );
+        });
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   getbucket: function showbucket(id) {
     PrivateClient().getBucketById(id).then(function(bucket) {
-      log(
-        'info',
-        'ID: %s, Name: %s, Storage: %s, Transfer: %s',
-        [bucket.id, bucket.name, bucket.storage, bucket.transfer]
-      );
+      report(bucket, function() {
+        log(
+          'info',
+          'ID: %s, Name: %s, Storage: %s, Transfer: %s',
+          [bucket.id, bucket.name, bucket.storage, bucket.transfer]
+        );
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   removebucket: function removebucket(id) {
     PrivateClient().destroyBucketById(id).then(function() {
-      log('info', 'Bucket successfully destroyed.');
+      report({ id: id, removed: true }, function() {
+        log('info', 'Bucket successfully destroyed.');
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   addbucket: function addbucket(name, storage, transfer) {
@@ -256,13 +1180,15 @@ var ACTIONS = {
       storage: storage,
       transfer: transfer
     }).then(function(bucket) {
-      log(
-        'info',
-        'ID: %s, Name: %s, Storage: %s, Transfer: %s',
-        [bucket.id, bucket.name, bucket.storage, bucket.transfer]
-      );
+      report(bucket, function() {
+        log(
+          'info',
+          'ID: %s, Name: %s, Storage: %s, Transfer: %s',
+          [bucket.id, bucket.name, bucket.storage, bucket.transfer]
+        );
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   updatebucket: function updatebucket(id, name, storage, transfer) {
@@ -271,91 +1197,309 @@ var ACTIONS = {
       storage: storage,
       transfer: transfer
     }).then(function(bucket) {
-      log(
-        'info',
-        'ID: %s, Name: %s, Storage: %s, Transfer: %s',
-        [bucket.id, bucket.name, bucket.storage, bucket.transfer]
-      );
+      report(bucket, function() {
+        log(
+          'info',
+          'ID: %s, Name: %s, Storage: %s, Transfer: %s',
+          [bucket.id, bucket.name, bucket.storage, bucket.transfer]
+        );
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   listfiles: function listfiles(id) {
-    PrivateClient().listFilesInBucket(id).then(function(files) {
-      if (!files.length) {
-        return log('warn', 'There are not files in this bucket.');
+    var limit = parseLimit(this.limit);
+
+    if (limit === null) {
+      return fail('validation', 'Limit must be a positive number');
+    }
+
+    function printFiles(files) {
+      report(files, function() {
+        if (!files.length) {
+          return log('warn', 'There are not files in this bucket.');
+        }
+
+        files.forEach(function(file) {
+          var tags = file.metadata && file.metadata.tags;
+          var message = 'Name: %s, Type: %s, Size: %s bytes, ID: %s';
+          var args = [file.filename, file.mimetype, file.size, file.id];
+
+          if (tags && tags.length) {
+            message += ', Tags: %s';
+            args.push(tags.join(', '));
+          }
+
+          log('info', message, args);
+        });
+      });
+    }
+
+    readList(PrivateClient().createFileListStream(id, {
+      limit: limit
+    })).then(function(files) {
+      if (!files.some(bridge.Client.hasEncryptedMetadata)) {
+        return printFiles(files);
       }
 
-      files.forEach(function(file) {
-        log(
-          'info',
-          'Name: %s, Type: %s, Size: %s bytes, ID: %s',
-          [file.filename, file.mimetype, file.size, file.id]
+      getKeyRing(function(keyring) {
+        PrivateClient(keyring).decryptFileMetadata(id, files).then(
+          printFiles,
+          failWithError
         );
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   removefile: function removefile(id, fileId) {
     PrivateClient().removeFileFromBucket(id, fileId).then(function() {
-      log('info', 'File was successfully removed from bucket.');
+      report({ bucket: id, id: fileId, removed: true }, function() {
+        log('info', 'File was successfully removed from bucket.');
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   uploadfile: function uploadfile(bucket, filepath) {
+    var encryptMetadata = !!this.encryptMetadata || getSetting('encryptmeta');
+    var tags = this.tag;
+    var redundancy = parseLimit(this.redundancy);
+
+    if (tags.length && !encryptMetadata) {
+      return fail(
+        'validation',
+        'Tags are only stored with --encrypt-metadata'
+      );
+    }
+
+    if (redundancy === null) {
+      return fail('validation', 'Redundancy must be a positive number');
+    }
+
+    redundancy = redundancy || getSetting('redundancy');
+
+    if (filepath === '-') {
+      return uploadStdin(bucket, this.filename || 'stdin', {
+        encryptMetadata: encryptMetadata,
+        metadata: encryptMetadata ? { tags: tags } : null,
+        redundancy: redundancy
+      });
+    }
+
     if (!fs.existsSync(filepath)) {
-      return log('error', 'No file found at %s', filepath);
+      return fail('notfound', 'No file found at %s', filepath);
     }
 
-    var secret = new storj.DataCipherKeyIv();
-    var encrypter = new storj.EncryptStream(secret);
-    var tmppath = path.join(os.tmpdir(), path.basename(filepath));
+    var metadata = encryptMetadata ? {
+      tags: tags,
+      mtime: fs.statSync(filepath).mtime.getTime()
+    } : null;
+
+    getKeyRing(function(keyring) {
+      var uploadId, manifest;
+
+      if (!getMasterSeed(keyring)) {
+        log('warn', 'This upload cannot be resumed without a master seed.');
+        log('warn', 'Run "createseed" to make new uploads resumable.');
+        return uploadWithRandomKey(bucket, filepath, keyring, {
+          filename: path.basename(filepath),
+          encryptMetadata: encryptMetadata,
+          metadata: metadata,
+          redundancy: redundancy
+        });
+      }
 
-    function cleanup() {
-      log('info', 'Cleaning up...');
-      fs.unlinkSync(tmppath);
+      uploadId = crypto.randomBytes(8).toString('hex');
+      manifest = bridge.UploadManifest(getManifestPath(uploadId));
+      manifest.set('redundancy', redundancy);
+      manifest.set('encryptMetadata', encryptMetadata);
+      manifest.set('metadata', metadata);
+      uploadWithDerivedKey(bucket, filepath, uploadId, manifest, keyring);
+    });
+  },
+  resumeupload: function resumeupload(uploadId) {
+    if (!fs.existsSync(getManifestPath(uploadId))) {
+      return fail(
+        'notfound',
+        'No interrupted upload found with ID %s',
+        [uploadId]
+      );
     }
 
+    var manifest = bridge.UploadManifest(getManifestPath(uploadId));
+    var tmppath = manifest.get('tmppath');
+
     getKeyRing(function(keyring) {
-      log('info', 'Generating encryption key...');
-      log('info', 'Encrypting file "%s"', [filepath]);
-
-      fs.createReadStream(filepath)
-        .pipe(encrypter)
-        .pipe(fs.createWriteStream(tmppath)).on('finish', function() {
-          log('info', 'Encryption complete!');
-          log('info', 'Creating storage token...');
-          PrivateClient().createToken(bucket, 'PUSH').then(function(token) {
-            log('info', 'Storing file, hang tight!');
-            PrivateClient().storeFileInBucket(
-              bucket,
-              token.token,
-              tmppath
-            ).then(function(file) {
-              keyring.set(file.id, secret);
-              cleanup();
-              log('info', 'Encryption key saved to keyring.');
-              log('info', 'File successfully stored in bucket.');
-              log(
-                'info',
-                'Name: %s, Type: %s, Size: %s bytes, ID: %s',
-                [file.filename, file.mimetype, file.size, file.id]
-              );
-
-            }, function(err) {
-              cleanup();
-              log('error', err.message);
-            });
-          }, function(err) {
-            cleanup();
-            log('error', err.message);
-          });
+      var secret = keyring.get(uploadId);
+
+      if (manifest.get('encrypted')) {
+        return resumeWithDerivedKey(uploadId, manifest, keyring);
+      }
+
+      if (!secret) {
+        return fail('notfound', 'No encryption key found in key ring!');
+      }
+
+      // NB: Uploads started before files were encrypted while streaming can
+      // only be resumed while their encrypted copy is still around
+      if (!tmppath || !fs.existsSync(tmppath) || !manifest.get('file')) {
+        return fail(
+          'notfound',
+          'Encrypted copy of %s is gone, upload the file again',
+          [manifest.get('source')]
+        );
+      }
+
+      log('info', 'Creating storage token...');
+      PrivateClient().createToken(manifest.get('bucket'), 'PUSH').then(
+        function(token) {
+          log('info', 'Resuming upload, hang tight!');
+          handleUploadResult(
+            uploadId,
+            manifest,
+            keyring,
+            PrivateClient(keyring).resumeFileUpload(token.token, manifest)
+          );
+        },
+        function(err) {
+          handleUploadResult(uploadId, manifest, keyring, Promise.reject(err));
         }
       );
     });
   },
+  listuploads: function listuploads() {
+    var uploads = fs.readdirSync(UPLOADSDIR).filter(function(name) {
+      return path.extname(name) === '.json';
+    }).map(function(name) {
+      var manifest = bridge.UploadManifest(path.join(UPLOADSDIR, name));
+
+      return {
+        id: path.basename(name, '.json'),
+        bucket: manifest.get('bucket'),
+        source: manifest.get('source'),
+        shardsTransferred: manifest.getShards().filter(function(shard) {
+          return shard.transferred;
+        }).length
+      };
+    });
+
+    report(uploads, function() {
+      if (!uploads.length) {
+        return log('warn', 'There are no interrupted uploads to resume.');
+      }
+
+      uploads.forEach(function(upload) {
+        log(
+          'info',
+          'ID: %s, Bucket: %s, File: %s, Shards Transferred: %s',
+          [upload.id, upload.bucket, upload.source, upload.shardsTransferred]
+        );
+      });
+    });
+  },
+  syncdir: function syncdir(bucket, localdir) {
+    var dryRun = !!this.dryRun;
+    var options = {
+      state: getSyncStatePath(bucket, localdir),
+      include: this.include,
+      exclude: this.exclude,
+      remove: !!this.delete,
+      dryRun: dryRun,
+      encrypt: true
+    };
+
+    if (!fs.existsSync(localdir) || !fs.statSync(localdir).isDirectory()) {
+      return fail('notfound', 'No directory found at %s', [localdir]);
+    }
+
+    getKeyRing(function(keyring) {
+      var client = PrivateClient(keyring);
+      var sync = client.syncDirectory(bucket, localdir, options);
+
+      sync.on('upload', function(relpath, upload) {
+        log('info', dryRun ? 'Would upload %s' : 'Uploading %s', [relpath]);
+
+        if (upload) {
+          showProgress(upload);
+        }
+      });
+      sync.on('remove', function(relpath) {
+        log('info', dryRun ? 'Would remove %s' : 'Removing %s', [relpath]);
+      });
+      sync.on('failure', function(relpath, err) {
+        log('warn', 'Could not sync %s: %s', [relpath, err.message]);
+      });
+
+      sync.then(function(summary) {
+        report(summary, function() {
+          log(
+            'info',
+            '%s: %s added, %s updated, %s removed, %s unchanged, ' +
+            '%s skipped, %s failed',
+            [
+              dryRun ? 'Dry run' : 'Sync complete',
+              summary.added.length,
+              summary.updated.length,
+              summary.removed.length,
+              summary.unchanged,
+              summary.skipped.length,
+              summary.failed.length
+            ]
+          );
+          summary.skipped.forEach(function(relpath) {
+            log('warn', 'Skipped empty file %s', [relpath]);
+          });
+          summary.unremoved.forEach(function(item) {
+            log('warn', 'Could not remove the old version of %s (%s): %s', [
+              item.path,
+              item.id,
+              item.error
+            ]);
+          });
+          log('info', dryRun ? 'To upload: %s' : 'Uploaded: %s', [
+            formatBytes(summary.bytes)
+          ]);
+        });
+
+        if (summary.failed.length) {
+          fail('error', '%s files could not be synced', [
+            summary.failed.length
+          ]);
+        }
+      }, failWithError);
+    });
+  },
+  gateway: function gateway() {
+    var port = parseLimit(this.port || '9000');
+    var host = this.host || '127.0.0.1';
+
+    if (!port || port > 65535) {
+      return fail('validation', 'Invalid port, expected 1-65535');
+    }
+
+    getKeyRing(function(keyring) {
+      var server = new bridge.S3Gateway(PrivateClient(keyring), {
+        encrypt: true
+      });
+
+      server.on('request', function(method, pathname, statusCode) {
+        log('info', '%s %s %s', [method, pathname, statusCode]);
+      });
+
+      server.listen(port, host, function(err, gatewayUrl) {
+        if (err) {
+          return failWithError(err);
+        }
+
+        report({ url: gatewayUrl }, function() {
+          log('info', 'S3 gateway listening on %s', [gatewayUrl]);
+          log('info', 'Use bucket ids as S3 bucket names, stop with Ctrl+C');
+        });
+      });
+    });
+  },
   getpointer: function getpointer(bucket, id) {
     PrivateClient().createToken(bucket, 'PULL').then(function(token) {
       PrivateClient().getFilePointer(
@@ -363,68 +1507,92 @@ var ACTIONS = {
         token.token,
         id
       ).then(function(pointer) {
-        pointer.forEach(function(location) {
-          log(
-            'info',
-            'Hash: %s, Token: %s, Farmer: %j',
-            [location.hash, location.token, location.farmer]
-          );
+        report(pointer, function() {
+          pointer.forEach(function(location) {
+            log(
+              'info',
+              'Hash: %s, Token: %s, Farmer: %j',
+              [location.hash, location.token, location.farmer]
+            );
+          });
         });
       }, function(err) {
-        log('error', err.message);
+        failWithError(err);
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   addframe: function addframe() {
     PrivateClient().createFileStagingFrame().then(function(frame) {
-      log('info', 'ID: %s, Created: %s', [frame.id, frame.created]);
+      report(frame, function() {
+        log('info', 'ID: %s, Created: %s', [frame.id, frame.created]);
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   listframes: function listframes() {
-    PrivateClient().getFileStagingFrames().then(function(frames) {
-      if (!frames.length) {
-        return log('warn', 'There are no frames to list.');
-      }
+    var limit = parseLimit(this.limit);
 
-      frames.forEach(function(frame) {
-        log(
-          'info',
-          'ID: %s, Created: %s, Shards: %s',
-          [frame.id, frame.created, frame.shards.length]
-        );
+    if (limit === null) {
+      return fail('validation', 'Limit must be a positive number');
+    }
+
+    readList(PrivateClient().createFrameListStream({
+      limit: limit
+    })).then(function(frames) {
+      report(frames, function() {
+        if (!frames.length) {
+          return log('warn', 'There are no frames to list.');
+        }
+
+        frames.forEach(function(frame) {
+          log(
+            'info',
+            'ID: %s, Created: %s, Shards: %s',
+            [frame.id, frame.created, frame.shards.length]
+          );
+        });
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   getframe: function getframe(frame) {
     PrivateClient().getFileStagingFrameById(frame).then(function(frame) {
-      log(
-        'info',
-        'ID: %s, Created: %s, Shards: %s',
-        [frame.id, frame.created, frame.shards.length]
-      );
+      report(frame, function() {
+        log(
+          'info',
+          'ID: %s, Created: %s, Shards: %s',
+          [frame.id, frame.created, frame.shards.length]
+        );
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   removeframe: function removeframe(frame) {
     PrivateClient().destroyFileStagingFrameById(frame).then(function() {
-      log('info', 'Frame was successfully removed.');
+      report({ id: frame, removed: true }, function() {
+        log('info', 'Frame was successfully removed.');
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   downloadfile: function downloadfile(bucket, id, filepath) {
-    if (fs.existsSync(filepath)) {
-      return log('error', 'Refusing to overwrite file at %s', filepath);
+    var range = parseRange(this.range);
+
+    if (this.range && !range) {
+      return fail('validation', 'Invalid range, expected start-end');
     }
 
-    getKeyRing(function(keyring) {
+    function downloadTo(keyring, filepath, file) {
+      if (fs.existsSync(filepath)) {
+        return fail('validation', 'Refusing to overwrite file at %s', filepath);
+      }
+
       log('info', 'Creating retrieval token...');
       PrivateClient().createToken(bucket, 'PULL').then(function(token) {
         log('info', 'Resolving file pointer...');
@@ -434,60 +1602,92 @@ var ACTIONS = {
           id
         ).then(function(pointer) {
           log('info', 'Downloading file from %s channels...', [pointer.length]);
-          var target = fs.createWriteStream(filepath);
-          var secret = keyring.get(id);
+          var failed = false;
 
-          if (!secret) {
-            return log('error', 'No decryption key found in key ring!');
+          if (!keyring.get(id) && !getMasterSeed(keyring)) {
+            return fail('notfound', 'No decryption key found in key ring!');
           }
 
-          var decrypter = new storj.DecryptStream(secret);
-
-          target.on('finish', function() {
-            log('info', 'File downloaded and written to %s.', [filepath]);
-          }).on('error', function(err) {
-            log('error', err.message);
+          var client = PrivateClient(keyring);
+          var download = client.resolveEncryptedFileFromPointers(pointer, {
+            bucket: bucket,
+            file: id,
+            range: range
           });
 
-          PrivateClient().resolveFileFromPointers(pointer).then(function(stream) {
+          showProgress(download);
+          download.then(function(stream) {
+            var target = fs.createWriteStream(filepath);
+
+            target.on('finish', function() {
+              if (failed) {
+                fs.unlinkSync(filepath);
+                return log('warn', 'Removed incomplete file %s.', [filepath]);
+              }
+
+              if (!range && file && file.metadata && file.metadata.mtime) {
+                var mtime = new Date(file.metadata.mtime);
+
+                fs.utimesSync(filepath, mtime, mtime);
+              }
+
+              report({ id: id, path: filepath }, function() {
+                log('info', 'File downloaded and written to %s.', [filepath]);
+              });
+            }).on('error', function(err) {
+              failWithError(err);
+            });
+
             stream.on('error', function(err) {
-              log('error', err.message);
-            }).pipe(through(function(chunk) {
-              log('info', 'Received %s bytes of data', [chunk.length]);
-              this.queue(chunk);
-            })).pipe(decrypter).pipe(target);
+              failed = true;
+              failWithError(err);
+              stream.unpipe(target);
+              target.end();
+            }).pipe(target);
           }, function(err) {
-            log('error', err.message);
+            failWithError(err);
           });
         }, function(err) {
-          log('error', err.message);
+          failWithError(err);
         });
       }, function(err) {
-        log('error', err.message);
+        failWithError(err);
+      });
+    }
+
+    getKeyRing(function(keyring) {
+      getDownloadTarget(keyring, bucket, id, filepath).then(function(target) {
+        downloadTo(keyring, target.path, target.file);
+      }, function(err) {
+        failWithError(err);
       });
     });
   },
   createtoken: function createtoken(bucket, operation) {
     PrivateClient().createToken(bucket, operation).then(function(token) {
-      log('info', 'Token successfully created.');
-      log(
-        'info',
-        'Token: %s, Bucket: %s, Operation: %s',
-        [token.token, token.bucket, token.operation]
-      );
+      report(token, function() {
+        log('info', 'Token successfully created.');
+        log(
+          'info',
+          'Token: %s, Bucket: %s, Operation: %s',
+          [token.token, token.bucket, token.operation]
+        );
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   streamfile: function downloadfile(bucket, id) {
-    getKeyRing(function(keyring) {
-      var secret = keyring.get(id);
+    var range = parseRange(this.range);
 
-      if (!secret) {
-        return log('error', 'No decryption key found in key ring!');
-      }
+    if (this.range && !range) {
+      return fail('validation', 'Invalid range, expected start-end');
+    }
 
-      var decrypter = new storj.DecryptStream(secret);
+    getKeyRing(function(keyring) {
+      if (!keyring.get(id) && !getMasterSeed(keyring)) {
+        return fail('notfound', 'No decryption key found in key ring!');
+      }
 
       PrivateClient().createToken(bucket, 'PULL').then(function(token) {
         PrivateClient().getFilePointer(
@@ -495,18 +1695,26 @@ var ACTIONS = {
           token.token,
           id
         ).then(function(pointer) {
-          PrivateClient().resolveFileFromPointers(
-            pointer
-          ).then(function(stream) {
-            stream.pipe(decrypter).pipe(process.stdout);
+          var client = PrivateClient(keyring);
+          var download = client.resolveEncryptedFileFromPointers(pointer, {
+            bucket: bucket,
+            file: id,
+            range: range
+          });
+
+          showProgress(download);
+          download.then(function(stream) {
+            stream.on('error', function(err) {
+              failWithError(err);
+            }).pipe(process.stdout);
           }, function(err) {
-            process.stderr.write(err.message);
+            failWithError(err);
           });
         }, function(err) {
-          process.stderr.write(err.message);
+          failWithError(err);
         });
       }, function(err) {
-        process.stderr.write(err.message);
+        failWithError(err);
       });
     });
   },
@@ -524,7 +1732,7 @@ var ACTIONS = {
         }
       }, function(err, result) {
         if (err) {
-          return log('error', err.message);
+          return failWithError(err);
         }
 
         keyring._pass = result.passphrase;
@@ -533,39 +1741,279 @@ var ACTIONS = {
       });
     });
   },
-  listcontacts: function listcontacts(page) {
-    PublicClient().getContactList({
-      page: page,
-      connected: this.connected
-    }).then(function(contacts) {
-      if (!contacts.length) {
-        return log('warn', 'There are no contacts to show');
+  createseed: function createseed(seed) {
+    if (seed && !/^[0-9a-f]{64}$/i.test(seed)) {
+      return fail(
+        'validation',
+        'Master seed must be 64 hexadecimal characters'
+      );
+    }
+
+    getKeyRing(function(keyring) {
+      if (getMasterSeed(keyring)) {
+        return fail(
+          'validation',
+          'A master seed already exists in the key ring'
+        );
       }
 
-      contacts.forEach(function(contact) {
-        log('info', 'Contact:   ' + storj.utils.getContactURL(contact));
-        log('info', 'Last Seen: ' + contact.lastSeen);
-        log('info', 'Protocol:  ' + (contact.protocol || '?'));
-        log('info', '');
+      seed = seed ? seed.toLowerCase() : bridge.keyderivation.generateSeed();
+      keyring.set(MASTERSEED_ID, storj.DataCipherKeyIv(seed, seed));
+      log('info', 'Master seed saved to keyring.');
+      log('info', 'New uploads will use keys derived from the master seed.');
+    });
+  },
+  showseed: function showseed() {
+    getKeyRing(function(keyring) {
+      var seed = getMasterSeed(keyring);
+
+      if (!seed) {
+        return fail('notfound', 'No master seed found in key ring!');
+      }
+
+      report({ seed: seed }, function() {
+        log('info', 'Master seed: %s', [seed]);
+      });
+    });
+  },
+  exportkeyring: function exportkeyring(archivepath) {
+    if (fs.existsSync(archivepath)) {
+      return fail(
+        'validation',
+        'Refusing to overwrite file at %s',
+        [archivepath]
+      );
+    }
+
+    getKeyRing(function(keyring) {
+      getArchivePassphrase(true, function(passphrase) {
+        fs.writeFileSync(
+          archivepath,
+          bridge.keyringArchive.createArchive(keyring, passphrase),
+          { mode: parseInt('0600', 8) }
+        );
+        log('info', 'Keyring exported to %s.', [archivepath]);
+      });
+    });
+  },
+  importkeyring: function importkeyring(archivepath) {
+    readKeyRingArchive(archivepath, function(keyring, keys) {
+      var result;
+
+      try {
+        result = bridge.keyringArchive.importKeys(keyring, keys);
+      } catch (err) {
+        return fail('validation', '%s', [err.message]);
+      }
+
+      report(result, function() {
+        log('info', 'Imported %s keys into keyring.', [result.added.length]);
+      });
+    });
+  },
+  mergekeyring: function mergekeyring(archivepath) {
+    var preferIncoming = this.preferIncoming;
+
+    readKeyRingArchive(archivepath, function(keyring, keys) {
+      var result = bridge.keyringArchive.mergeKeys(keyring, keys, {
+        preferIncoming: preferIncoming
+      });
+
+      report(result, function() {
+        log(
+          'info',
+          'Added %s keys, %s already present, %s conflicts.',
+          [
+            result.added.length,
+            result.unchanged.length,
+            result.conflicts.length
+          ]
+        );
+        result.conflicts.forEach(function(conflict) {
+          log(
+            'warn',
+            'Conflicting key for %s, %s key kept as %s',
+            [
+              conflict.id,
+              preferIncoming ? 'previous' : 'archived',
+              conflict.movedTo
+            ]
+          );
+        });
+      });
+    });
+  },
+  listcontacts: function listcontacts(page) {
+    var limit = parseLimit(this.limit);
+    var contacts;
+
+    if (limit === null) {
+      return fail('validation', 'Limit must be a positive number');
+    }
+
+    if (this.all) {
+      contacts = readList(PublicClient().createContactListStream({
+        page: page ? Number(page) : 1,
+        connected: this.connected,
+        limit: limit
+      }));
+    } else {
+      contacts = PublicClient().getContactList({
+        page: page,
+        connected: this.connected
+      }).then(function(contacts) {
+        return limit ? contacts.slice(0, limit) : contacts;
+      });
+    }
+
+    contacts.then(function(contacts) {
+      report(contacts, function() {
+        if (!contacts.length) {
+          return log('warn', 'There are no contacts to show');
+        }
+
+        contacts.forEach(function(contact) {
+          log('info', 'Contact:   ' + storj.utils.getContactURL(contact));
+          log('info', 'Last Seen: ' + contact.lastSeen);
+          log('info', 'Protocol:  ' + (contact.protocol || '?'));
+          log('info', '');
+        });
       });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
   getcontact: function getcontact(nodeid) {
     PublicClient().getContactByNodeId(nodeid).then(function(contact) {
-      log('info', 'Contact:   ' + storj.utils.getContactURL(contact));
-      log('info', 'Last Seen: ' + contact.lastSeen);
-      log('info', 'Protocol:  ' + (contact.protocol || '?'));
+      report(contact, function() {
+        log('info', 'Contact:   ' + storj.utils.getContactURL(contact));
+        log('info', 'Last Seen: ' + contact.lastSeen);
+        log('info', 'Protocol:  ' + (contact.protocol || '?'));
+      });
     }, function(err) {
-      log('error', err.message);
+      failWithError(err);
     });
   },
+  profiles: function profiles(command, name, bridgeURL) {
+    var config = loadProfiles();
+
+    switch (command) {
+      case 'list':
+        return listProfiles(config);
+      case 'add':
+        if (!/^[a-z0-9_-]+$/i.test(name || '')) {
+          return fail(
+            'validation',
+            'Profile names may only use a-z, 0-9, _ and -'
+          );
+        }
+
+        if (config.profiles[name]) {
+          return fail('validation', 'Profile "%s" already exists', [name]);
+        }
+
+        config.profiles[name] = {};
+        saveProfiles(config);
+
+        [path.dirname(getProfileDir(name)), getProfileDir(name)].forEach(
+          function(dir) {
+            if (!fs.existsSync(dir)) {
+              fs.mkdirSync(dir);
+            }
+          }
+        );
+
+        if (bridgeURL || program.url) {
+          saveConfig(path.join(getProfileDir(name), 'config.json'), {
+            url: bridgeURL || program.url
+          });
+        }
+
+        return log(
+          'info',
+          'Profile "%s" added, use it with "profiles use %s"',
+          [name, name]
+        );
+      case 'use':
+        if (!config.profiles[name]) {
+          return fail('validation', 'No profile named "%s"', [name]);
+        }
+
+        config.current = name;
+        saveProfiles(config);
+        return log('info', 'Now using profile "%s"', [name]);
+      case 'remove':
+        if (!config.profiles[name] || name === DEFAULT_PROFILE) {
+          return fail('validation', 'Cannot remove profile "%s"', [name]);
+        }
+
+        delete config.profiles[name];
+        config.current = config.current === name ?
+                         DEFAULT_PROFILE :
+                         config.current;
+        saveProfiles(config);
+        log('info', 'Profile "%s" removed', [name]);
+        return log('warn', 'Its keys and keyring were left at %s', [
+          getProfileDir(name)
+        ]);
+      default:
+        fail('validation', 'Unknown profiles command "%s"', [command]);
+    }
+  },
+  config: function config(command, name, value) {
+    var current = loadConfig(CONFIGPATH);
+
+    if (['get', 'set', 'unset'].indexOf(command) !== -1 && !SETTINGS[name]) {
+      return fail(
+        'validation',
+        'Unknown setting "%s", see "config list"',
+        [name]
+      );
+    }
+
+    switch (command) {
+      case 'list':
+        return listSettings();
+      case 'get':
+        value = getSetting(name) === undefined ? null : getSetting(name);
+
+        return report({ key: name, value: value }, function() {
+          console.log(value === null ? '' : value);
+        });
+      case 'set':
+        if (SETTINGS[name].secret) {
+          return fail(
+            'validation',
+            'Setting "%s" cannot be stored, use STORJ_%s instead',
+            [name, name.toUpperCase()]
+          );
+        }
+
+        try {
+          current[name] = parseSetting(name, value);
+        } catch (err) {
+          return fail('validation', '%s', [err.message]);
+        }
+
+        saveConfig(CONFIGPATH, current);
+        return report({ key: name, value: current[name] }, function() {
+          log('info', 'Set %s to %s', [name, current[name]]);
+        });
+      case 'unset':
+        delete current[name];
+        saveConfig(CONFIGPATH, current);
+        return report({ key: name, value: null }, function() {
+          log('info', 'Unset %s', [name]);
+        });
+      default:
+        fail('validation', 'Unknown config command "%s"', [command]);
+    }
+  },
   fallthrough: function(command) {
-    log(
-      'error',
+    fail(
+      'validation',
       'Unknown command "%s", please use --help for assistance',
-      command
+      [command]
     );
     program.help();
   }
@@ -583,103 +2031,155 @@ program
 
 program
   .command('login')
+  .option('-m, --mnemonic', 'restore the key of a device from its mnemonic')
   .description('authorize this device to access your storj api account')
   .action(ACTIONS.login);
 
+program
+  .command('changekeypass')
+  .description('change the passphrase protecting this device\'s private key')
+  .action(withKeyPair(ACTIONS.changekeypass));
+
+program
+  .command('showmnemonic')
+  .description('print a mnemonic phrase to restore this device\'s key with')
+  .action(withKeyPair(ACTIONS.showmnemonic));
+
 program
   .command('logout')
   .description('revoke this device\'s access your storj api account')
-  .action(ACTIONS.logout);
+  .action(withKeyPair(ACTIONS.logout));
 
 program
   .command('listkeys')
   .description('list your registered public keys')
-  .action(ACTIONS.listkeys);
+  .action(withKeyPair(ACTIONS.listkeys));
 
 program
   .command('addkey <pubkey>')
   .description('register the given public key')
-  .action(ACTIONS.addkey);
+  .action(withKeyPair(ACTIONS.addkey));
 
 program
   .command('removekey <pubkey>')
   .description('invalidates the registered public key')
-  .action(ACTIONS.removekey);
+  .action(withKeyPair(ACTIONS.removekey));
 
 program
   .command('listbuckets')
+  .option('-l, --limit <count>', 'list at most this many buckets')
   .description('list your storage buckets')
-  .action(ACTIONS.listbuckets);
+  .action(withKeyPair(ACTIONS.listbuckets));
 
 program
   .command('getbucket <id>')
   .description('get specific storage bucket information')
-  .action(ACTIONS.getbucket);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.getbucket)));
 
 program
   .command('addbucket [name] [storage] [transfer]')
   .description('create a new storage bucket')
-  .action(ACTIONS.addbucket);
+  .action(withKeyPair(ACTIONS.addbucket));
 
 program
   .command('removebucket <id>')
   .description('destroys a specific storage bucket')
-  .action(ACTIONS.removebucket);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.removebucket)));
 
 program
   .command('updatebucket <id> [name] [storage] [transfer]')
   .description('updates a specific storage bucket')
-  .action(ACTIONS.updatebucket);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.updatebucket)));
 
 program
   .command('addframe')
   .description('creates a new file staging frame')
-  .action(ACTIONS.addframe);
+  .action(withKeyPair(ACTIONS.addframe));
 
 program
   .command('listframes')
+  .option('-l, --limit <count>', 'list at most this many frames')
   .description('lists your file staging frames')
-  .action(ACTIONS.listframes);
+  .action(withKeyPair(ACTIONS.listframes));
 
 program
   .command('getframe <id>')
   .description('retreives the file staging frame by id')
-  .action(ACTIONS.getframe);
+  .action(withKeyPair(ACTIONS.getframe));
 
 program
   .command('removeframe <id>')
   .description('removes the file staging frame by id')
-  .action(ACTIONS.removeframe);
+  .action(withKeyPair(ACTIONS.removeframe));
 
 program
   .command('listfiles <bucket>')
+  .option('-l, --limit <count>', 'list at most this many files')
   .description('list the files in a specific storage bucket')
-  .action(ACTIONS.listfiles);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.listfiles)));
 
 program
   .command('removefile <bucket> <id>')
   .description('delete a file pointer from a specific bucket')
-  .action(ACTIONS.removefile);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.removefile)));
 
 program
   .command('uploadfile <bucket> <filepath>')
-  .description('upload a file to the network and track in a bucket')
-  .action(ACTIONS.uploadfile);
+  .option('-f, --filename <name>', 'name to store stdin as when filepath is -')
+  .option('-e, --encrypt-metadata', 'encrypt the file name, type and metadata')
+  .option('-t, --tag <tag>', 'tag to store in the encrypted metadata ' +
+          '(repeatable)', collect, [])
+  .option('-r, --redundancy <n>', 'number of distinct farmers to store each ' +
+          'shard with')
+  .description('upload a file (or stdin with -) to the network and track in ' +
+               'a bucket')
+  .action(withDefaultBucket(withKeyPair(ACTIONS.uploadfile)));
+
+program
+  .command('syncdir <bucket> <localdir>')
+  .option('-n, --dry-run', 'only report what would be uploaded or removed')
+  .option('-i, --include <glob>', 'only sync matching files (repeatable)',
+          collect, [])
+  .option('-x, --exclude <glob>', 'skip matching files (repeatable)',
+          collect, [])
+  .option('-d, --delete', 'remove bucket files whose local source is gone')
+  .description('upload new and changed files in a directory to a bucket')
+  .action(withDefaultBucket(withKeyPair(ACTIONS.syncdir)));
+
+program
+  .command('resumeupload <id>')
+  .description('resume an interrupted upload by its upload id')
+  .action(withKeyPair(ACTIONS.resumeupload));
+
+program
+  .command('listuploads')
+  .description('list interrupted uploads that can be resumed')
+  .action(ACTIONS.listuploads);
 
 program
-  .command('downloadfile <bucket> <id> <filepath>')
+  .command('downloadfile <bucket> <id> [filepath]')
+  .option('-r, --range <start-end>', 'only download the given byte range')
   .description('download a file from the network with a pointer from a bucket')
-  .action(ACTIONS.downloadfile);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.downloadfile)));
 
 program
   .command('streamfile <bucket> <id>')
+  .option('-r, --range <start-end>', 'only stream the given byte range')
   .description('stream a file from the network and write to stdout')
-  .action(ACTIONS.streamfile);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.streamfile)));
 
 program
   .command('getpointer <bucket> <id>')
   .description('get pointer metadata for a file in a bucket')
-  .action(ACTIONS.getpointer);
+  .action(withDefaultBucket(withKeyPair(ACTIONS.getpointer)));
+
+program
+  .command('gateway')
+  .option('-p, --port <port>', 'port to listen on (default 9000)')
+  .option('-H, --host <address>', 'address to listen on (default 127.0.0.1)')
+  .description('serve buckets over a local s3 compatible http api, ' +
+               'encrypting and decrypting files with the keyring')
+  .action(withKeyPair(ACTIONS.gateway));
 
 program
   .command('createtoken <bucket> <operation>')
@@ -689,6 +2189,8 @@ program
 program
   .command('listcontacts [page]')
   .option('-c, --connected', 'limit results to connected nodes')
+  .option('-a, --all', 'list every page, starting from the given page')
+  .option('-l, --limit <count>', 'list at most this many contacts')
   .description('list the peers known to the remote bridge')
   .action(ACTIONS.listcontacts);
 
@@ -702,11 +2204,50 @@ program
   .description('reset the keyring password')
   .action(ACTIONS.resetkeyring);
 
+program
+  .command('createseed [seed]')
+  .description('generate (or import) a master seed to derive file keys from')
+  .action(ACTIONS.createseed);
+
+program
+  .command('showseed')
+  .description('print the master seed to set up another device')
+  .action(ACTIONS.showseed);
+
+program
+  .command('exportkeyring <path>')
+  .description('export the keyring to a passphrase protected archive')
+  .action(ACTIONS.exportkeyring);
+
+program
+  .command('importkeyring <path>')
+  .description('restore an empty keyring from an exported archive')
+  .action(ACTIONS.importkeyring);
+
+program
+  .command('mergekeyring <path>')
+  .option('-p, --prefer-incoming', 'keep archived keys on conflicting ids')
+  .description('merge keys from an exported archive into the keyring')
+  .action(ACTIONS.mergekeyring);
+
+program
+  .command('profiles <command> [name] [url]')
+  .description('list, add, use or remove named profiles with their own ' +
+               'bridge url, key and keyring')
+  .action(ACTIONS.profiles);
+
+program
+  .command('config <command> [key] [value]')
+  .description('list, get, set or unset settings for the current profile, ' +
+               'overridden by STORJ_<KEY> variables and options')
+  .action(ACTIONS.config);
+
 program
   .command('*')
   .description('prints the usage information to the console')
   .action(ACTIONS.fallthrough);
 
+selectProfile(getRequestedProfile());
 program.parse(process.argv);
 
 if (process.argv.length < 3) {
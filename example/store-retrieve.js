@@ -5,31 +5,40 @@ var fs = require('fs');
 // Import the library
 var StorjAPI = require('..');
 
-// Create a client authenticated with your key
+// Create a client authenticated with your key, keeping file encryption keys
+// in an encrypted keyring on disk
 var client = new StorjAPI.Client('https://api.storj.io', {
-  keypair: new StorjAPI.KeyPair('<your_private_ecdsa_key>')
+  keypair: new StorjAPI.KeyPair('<your_private_ecdsa_key>'),
+  keyStore: new StorjAPI.__core.KeyRing('<keyring_path>', '<passphrase>')
 });
 
-// Keep track of the bucket ID and file hash
+// Keep track of the bucket ID and file ID
 var bucket = '56d6048ab3dece1959aace73';
-var filehash = null;
+var fileid = null;
 
 // Create a PUSH token
 client.createToken(bucket, 'PUSH').then(function(token) {
-  // Stream the file upload to bridge
-  return client.storeFileInBucket(bucket, token.token, process.argv[2]);
-}).then(function(filepointer) {
-  // Track the file hash for later
-  filehash = filepointer.hash;
+  // Encrypt and stream the file upload to bridge
+  return client.storeEncryptedFileInBucket(
+    bucket,
+    token.token,
+    process.argv[2]
+  );
+}).then(function(file) {
+  // Track the file ID for later
+  fileid = file.id;
   // Create a PULL token
   return client.createToken(bucket, 'PULL');
 }).then(function(token) {
   // Fetch the file pointer list
-  return client.getFilePointer(bucket, token.token, filehash);
+  return client.getFilePointer(bucket, token.token, fileid);
 }).then(function(pointers) {
-  // Open download stream from network and a writable file stream
-  var download = client.resolveFileFromPointers(pointers);
-  var destination = fs.createWriteStream('<write_file_to_path>');
+  // Open decrypted download stream from network
+  return client.resolveEncryptedFileFromPointers(pointers, {
+    bucket: bucket,
+    file: fileid
+  });
+}).then(function(download) {
   // Write downloaded file to disk
-  download.pipe(destination);
+  download.pipe(fs.createWriteStream('<write_file_to_path>'));
 });
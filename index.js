@@ -19,3 +19,58 @@ module.exports.Client = require('./lib/client');
  * {@link KeyPair}
  */
 module.exports.KeyPair = require('./lib/keypair');
+
+/**
+ * {@link UploadManifest}
+ */
+module.exports.UploadManifest = require('./lib/uploadmanifest');
+
+/**
+ * {@link MemoryKeyStore}
+ */
+module.exports.MemoryKeyStore = require('./lib/memorykeystore');
+
+/**
+ * {@link Transfer}
+ */
+module.exports.Transfer = require('./lib/transfer');
+
+/**
+ * {@link SyncState}
+ */
+module.exports.SyncState = require('./lib/syncstate');
+
+/**
+ * {@link DirectorySync}
+ */
+module.exports.DirectorySync = require('./lib/directorysync');
+
+/**
+ * {@link S3Gateway}
+ */
+module.exports.S3Gateway = require('./lib/s3gateway');
+
+/**
+ * {@link module:bridge-client/keyringarchive}
+ */
+module.exports.keyringArchive = require('./lib/keyringarchive');
+
+/**
+ * {@link module:bridge-client/keyderivation}
+ */
+module.exports.keyderivation = require('./lib/keyderivation');
+
+/**
+ * {@link module:bridge-client/signing}
+ */
+module.exports.signing = require('./lib/signing');
+
+/**
+ * {@link module:bridge-client/errors}
+ */
+module.exports.errors = require('./lib/errors');
+
+/**
+ * {@link module:bridge-client/testing}
+ */
+module.exports.testing = require('./lib/testing');
@@ -1,15 +1,26 @@
 'use strict';
 
 var fs = require('fs');
-var querystring = require('querystring');
 var request = require('request');
 var storj = require('storj');
 var crypto = require('crypto');
 var tmpdir = require('os').tmpdir();
 var path = require('path');
 var mime = require('mime');
+var util = require('util');
 var async = require('async');
+var stream = require('stream');
 var uuid = require('node-uuid');
+var UploadState = require('./uploadstate');
+var StreamDemuxer = require('./streamdemuxer');
+var StreamMuxer = require('./streammuxer');
+var PageStream = require('./pagestream');
+var Transfer = require('./transfer');
+var DirectorySync = require('./directorysync');
+var errors = require('./errors');
+var keyderivation = require('./keyderivation');
+var signing = require('./signing');
+var metadataCipher = require('./metadatacipher');
 
 /**
  * Exposes a Storj Bridge API client
@@ -17,6 +28,34 @@ var uuid = require('node-uuid');
  * @param {String} uri - API base URI ('https://api.storj.io')
  * @param {Object} options
  * @param {storj.KeyPair} options.keypair - KeyPair instance for request signing
+ * @param {Number} options.concurrency - Maximum concurrent shard transfers
+ * @param {Number} options.transferTimeout - Milliseconds before a shard
+ * transfer is abandoned
+ * @param {Number} options.transferRetries - Times to retry a failed shard
+ * transfer with a different farmer
+ * @param {Number} options.connectTimeout - Milliseconds to wait for a data
+ * channel to open
+ * @param {Number} options.idleTimeout - Milliseconds a data channel may go
+ * without receiving data before it is abandoned
+ * @param {Number} options.requestTimeout - Milliseconds to wait for a bridge
+ * response before the attempt fails
+ * @param {Number} options.requestRetries - Times to retry a GET, HEAD, PUT or
+ * DELETE request that failed with a transient error, 0 to disable retries
+ * (shards added to a staging frame are never retried, see
+ * {@link Client.NON_IDEMPOTENT_REQUESTS})
+ * @param {Number} options.requestRetryDelay - Milliseconds to back off
+ * before the first retry, doubled for each one after
+ * @param {Number} options.requestRetryMaxDelay - Upper bound on the backoff
+ * between retries when the bridge does not send Retry-After
+ * @param {Object} options.keyStore - Stores keys for encrypted files, such
+ * as a {@link MemoryKeyStore} or storj.KeyRing
+ * @param {String} options.masterSeed - Hex encoded seed to derive the keys
+ * of encrypted files from, used when the key store has no entry
+ * @param {Array} options.middleware - Middleware to add, see
+ * {@link Client#use}
+ * @param {Function} options.createDataChannel - Returns the data channel to
+ * reach the given farmer contact through, in place of a
+ * storj.DataChannelClient (such as {@link MockBridge#createDataChannel})
  * @param {Object} options.basicauth
  * @param {String} options.basicauth.email - Email address for HTTP basic auth
  * @param {String} options.basicauth.password - Password for HTTP basic auth
@@ -28,8 +67,76 @@ function Client(uri, options) {
 
   this._options = options || {};
   this._options.baseURI = uri || 'https://api.storj.io';
+  this._middleware = [];
+
+  Object.keys(Client.DEFAULTS).forEach(function(key) {
+    if (typeof this._options[key] === 'undefined') {
+      this._options[key] = Client.DEFAULTS[key];
+    }
+  }, this);
+
+  (this._options.middleware || []).forEach(function(middleware) {
+    this.use(middleware);
+  }, this);
 }
 
+Client.DEFAULTS = {
+  concurrency: 6,
+  transferTimeout: 90000,
+  transferRetries: 3,
+  connectTimeout: 15000,
+  idleTimeout: 30000,
+  requestTimeout: 30000,
+  requestRetries: 3,
+  requestRetryDelay: 500,
+  requestRetryMaxDelay: 10000
+};
+
+Client.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Requests that are never retried automatically although their method is
+ * idempotent, as [method, path]. Adding a shard to a staging frame has the
+ * bridge allocate a farmer contract on every attempt.
+ */
+Client.NON_IDEMPOTENT_REQUESTS = [
+  ['PUT', /^\/frames\/[^/]+$/]
+];
+
+Client.RETRYABLE_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+Client.METADATA_KEY_PREFIX = 'metadata:';
+
+/**
+ * Adds middleware that sees every attempt at a bridge request, including
+ * retries and file pointer requests. Each hook is optional and is called
+ * with a context object shared by the hooks of the same attempt, holding
+ * the attempt number, when it started and, once it ends, the milliseconds
+ * it took.
+ * @param {Object} middleware
+ * @param {Function} middleware.request - Called with the options passed to
+ * request and the context before the attempt is signed, and may modify the
+ * options (such as to add headers or point them at a gateway)
+ * @param {Function} middleware.response - Called with the options, the
+ * response, the parsed body and the context for every response received
+ * @param {Function} middleware.error - Called with the options, the
+ * {@link module:bridge-client/errors} error and the context for every
+ * attempt that fails, whether or not it will be retried
+ * @returns {Client}
+ */
+Client.prototype.use = function(middleware) {
+  this._middleware.push(middleware);
+
+  return this;
+};
+
 /**
  * Get the remote Storj Bridge API documentation and version as JSON
  * @returns {Promise}
@@ -49,6 +156,25 @@ Client.prototype.getContactList = function(options) {
   return this._request('GET', '/contacts', options || {});
 };
 
+/**
+ * Streams every known contact, fetching the pages of the contact list as
+ * they are read
+ * @param {Object} options
+ * @param {Number} options.page - The page number to start from
+ * @param {Boolean} options.connected - Filter results by connection status
+ * @param {Number} options.limit - Maximum number of contacts to read
+ * @returns {stream.Readable} contacts - Object mode stream of contacts
+ */
+Client.prototype.createContactListStream = function(options) {
+  var self = this;
+
+  options = options || {};
+
+  return new PageStream(function(page) {
+    return self.getContactList({ page: page, connected: options.connected });
+  }, { page: options.page, limit: options.limit });
+};
+
 /**
  * Get the contact information for the given nodeID
  * @param {String} nodeId - The nodeID of the contact
@@ -109,6 +235,19 @@ Client.prototype.getBuckets = function() {
   return this._request('GET', '/buckets', {});
 };
 
+/**
+ * Streams the caller's file buckets
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of buckets to read
+ * @returns {stream.Readable} buckets - Object mode stream of buckets
+ */
+Client.prototype.createBucketListStream = function(options) {
+  return new PageStream(this.getBuckets.bind(this), {
+    limit: (options || {}).limit,
+    paginated: false
+  });
+};
+
 /**
  * Returns the bucket information by ID
  * @param {String} id - Unique bucket ID
@@ -155,6 +294,65 @@ Client.prototype.listFilesInBucket = function(id) {
   return this._request('GET', '/buckets/' + id + '/files', {});
 };
 
+/**
+ * Streams the files stored in a bucket
+ * @param {String} id - Unique bucket ID
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of files to read
+ * @returns {stream.Readable} files - Object mode stream of files
+ */
+Client.prototype.createFileListStream = function(id, options) {
+  return new PageStream(this.listFilesInBucket.bind(this, id), {
+    limit: (options || {}).limit,
+    paginated: false
+  });
+};
+
+/**
+ * Decrypts the names, types and metadata of files stored with the
+ * encryptMetadata option, using the key derived from the master seed or the
+ * bucket's metadata key in the key store. Decrypted files are copies with
+ * the original filename, mimetype and metadata, other files are returned
+ * as they are.
+ * @param {String} id - Unique bucket ID
+ * @param {Array} files - Files listed from the bucket
+ * @returns {Promise}
+ */
+Client.prototype.decryptFileMetadata = function(id, files) {
+  if (!files.some(Client.hasEncryptedMetadata)) {
+    return Promise.resolve(files);
+  }
+
+  return this._getMetadataKeys(id).then(function(keys) {
+    return files.map(function(file) {
+      var copy = {};
+      var info = null;
+
+      if (!Client.hasEncryptedMetadata(file)) {
+        return file;
+      }
+
+      for (var i = 0; i < keys.length && !info; i++) {
+        info = metadataCipher.decrypt(keys[i], file.filename);
+      }
+
+      if (!info) {
+        return file;
+      }
+
+      Object.keys(file).forEach(function(prop) {
+        copy[prop] = file[prop];
+      });
+
+      copy.filename = info.filename;
+      copy.mimetype = info.mimetype;
+      copy.metadata = info.metadata;
+
+      return copy;
+    });
+  });
+};
+
 /**
  * Create bucket token
  * @param {String} id - Unique bucket ID
@@ -193,6 +391,19 @@ Client.prototype.getFileStagingFrames = function() {
   return this._request('GET', '/frames', {});
 };
 
+/**
+ * Streams the caller's file staging frames
+ * @param {Object} options
+ * @param {Number} options.limit - Maximum number of frames to read
+ * @returns {stream.Readable} frames - Object mode stream of frames
+ */
+Client.prototype.createFrameListStream = function(options) {
+  return new PageStream(this.getFileStagingFrames.bind(this), {
+    limit: (options || {}).limit,
+    paginated: false
+  });
+};
+
 /**
  * Creates a file staging frame
  * @param {String} id - Unique frame ID
@@ -222,243 +433,1698 @@ Client.prototype.addShardToFileStagingFrame = function(id, shard) {
 };
 
 /**
- * Stores a file in the bucket
+ * Stores a file in the bucket. Bridge failures reject the transfer with a
+ * BridgeError and a shard no farmer would accept with a TransferError, see
+ * {@link module:bridge-client/errors}
  * @param {String} id - Unique bucket ID
  * @param {String} token - Token from {@link Client#createToken}
- * @param {String} file - Path to file to store
- * @param {Number} shards - Number of shards to create
- * @returns {Promise}
+ * @param {String|Buffer|stream.Readable} file - Path to file, buffer or
+ * readable stream of the data to store
+ * @param {Object} options
+ * @param {String} options.filename - Name to store the file as (required
+ * unless storing a file path)
+ * @param {String} options.mimetype - Type to store the file as
+ * @param {Number} options.size - Length of a readable stream, if known
+ * @param {UploadManifest} options.manifest - Tracks progress for resuming
+ * (only for file paths)
+ * @param {Boolean} options.encryptMetadata - Encrypt the name, type and
+ * metadata of the file so the bridge only sees an opaque name, see
+ * {@link Client#decryptFileMetadata} (requires a key store or master seed)
+ * @param {Object} options.metadata - JSON serializable user metadata, such
+ * as tags or the original mtime, stored only with encryptMetadata
+ * @param {Number} options.redundancy - Number of distinct farmers to store
+ * each shard with (defaults to 1)
+ * @returns {Transfer}
  */
-Client.prototype.storeFileInBucket = function(id, token, file) {
-  var self = this;
-  var numShards = Math.ceil(
-    fs.statSync(file).size / storj.FileDemuxer.DEFAULTS.shardSize
-  );
-  var completed = 0;
-  var cleanMe = [];
+Client.prototype.storeFileInBucket = function(id, token, file, options) {
+  return this._createUpload(id, file, options || {}, null);
+};
 
-  function cleanup() {
-    cleanMe.forEach(function(tmpFilePath) {
-      fs.unlinkSync(tmpFilePath);
-    });
+/**
+ * Encrypts and stores a file in the bucket, saving the key in the key store
+ * (if any) under the ID of the created file once the upload succeeds. The
+ * key is derived from the master seed if one is set, otherwise it is random.
+ * @param {String} id - Unique bucket ID
+ * @param {String} token - Token from {@link Client#createToken}
+ * @param {String|Buffer|stream.Readable} file - Path to file, buffer or
+ * readable stream of the data to store
+ * @param {Object} options - Same as {@link Client#storeFileInBucket}, except
+ * that only uploads with keys derived from the master seed can be resumed
+ * @returns {Transfer}
+ */
+Client.prototype.storeEncryptedFileInBucket = function(id, token, file,
+                                                       options) {
+  var transfer = new Transfer();
+
+  options = options || {};
+
+  if (!this._options.keyStore && !this._options.masterSeed) {
+    transfer.reject(new Error('A key store is required for encryption'));
+    return transfer;
   }
 
-  return new Promise(function(resolve, reject) {
-    self.createFileStagingFrame().then(function(frame) {
-      var demuxer = new storj.FileDemuxer(file);
+  if (options.manifest && !this._options.masterSeed) {
+    transfer.reject(new Error('Only uploads with derived keys can be resumed'));
+    return transfer;
+  }
+
+  return this._createUpload(id, file, options, true);
+};
+
+/**
+ * Validates the upload options and schedules the upload
+ * @private
+ * @param {String} id - Unique bucket ID
+ * @param {String|Buffer|stream.Readable} file - The data to store
+ * @param {Object} options - Options passed to storeFileInBucket
+ * @param {Boolean} encrypt - Encrypt the data before it is sharded
+ * @returns {Transfer}
+ */
+Client.prototype._createUpload = function(id, file, options, encrypt) {
+  var transfer = new Transfer();
+  var isPath = typeof file === 'string';
+  var filename = options.filename || (isPath ? path.basename(file) : null);
 
-      demuxer.on('shard', function(shardStream, index) {
-        var tmpName = path.join(tmpdir, crypto.randomBytes(6).toString('hex'));
-        var tmpFile = fs.createWriteStream(tmpName);
-        var hasher = crypto.createHash('sha256');
-        var size = 0;
+  if (!filename) {
+    transfer.reject(new Error('A filename is required to store a stream'));
+    return transfer;
+  }
 
-        cleanMe.push(tmpName);
+  if (options.manifest && !isPath) {
+    transfer.reject(new Error('Only uploads of file paths can be resumed'));
+    return transfer;
+  }
 
-        shardStream.on('data', function(data) {
-          size += data.length;
-          hasher.update(data);
-          tmpFile.write(data);
-        });
+  if (options.encryptMetadata && !this._options.keyStore &&
+      !this._options.masterSeed) {
+    transfer.reject(new Error('A key store is required to encrypt metadata'));
+    return transfer;
+  }
 
-        shardStream.on('end', function(data) {
-          tmpFile.end();
-        });
+  if (options.redundancy !== undefined &&
+      !(options.redundancy >= 1 && options.redundancy % 1 === 0)) {
+    transfer.reject(new Error('Redundancy must be a positive integer'));
+    return transfer;
+  }
 
-        tmpFile.on('finish', function() {
-          var hash = storj.utils.rmd160(hasher.digest('hex'));
-          var auditGenerator = new storj.AuditStream(3);
-          var shardFile = fs.createReadStream(tmpName);
-
-          shardFile.pipe(auditGenerator).on('finish', function() {
-            var challenges = auditGenerator.getPrivateRecord().challenges;
-            var tree = auditGenerator.getPublicRecord();
-
-            self.addShardToFileStagingFrame(frame.id, {
-              hash: hash,
-              size: size,
-              index: index,
-              challenges: challenges,
-              tree: tree
-            }).then(function(pointer) {
-              var shardFile = fs.createReadStream(tmpName);
-              var client = new storj.DataChannelClient(
-                storj.Contact(pointer.farmer)
-              );
-
-              client.on('open', function() {
-                var datachannel = client.createWriteStream(
-                  pointer.token,
-                  pointer.hash
-                );
-
-                shardFile.pipe(datachannel).on('finish', function() {
-                  completed++;
-
-                  if (completed === numShards) {
-                    cleanup();
-                    self._request('POST', '/buckets/' + id + '/files', {
-                      frame: frame.id,
-                      mimetype: mime.lookup(file),
-                      filename: path.basename(file)
-                    }).then(resolve, function(err) {
-                      cleanup();
-                      reject(err);
-                    });
-                  }
-                });
-
-              });
-            }, function(err) {
-              cleanup();
-              reject(err);
-            });
-          });
-        });
-      });
-    });
-  });
+  setImmediate(this._storeFile.bind(this, transfer, {
+    bucket: id,
+    file: file,
+    size: Buffer.isBuffer(file) ? file.length : options.size,
+    filename: filename,
+    mimetype: options.mimetype || mime.lookup(filename),
+    manifest: options.manifest,
+    encrypt: encrypt,
+    encryptMetadata: !!options.encryptMetadata,
+    metadata: options.metadata || null,
+    redundancy: options.redundancy || 1
+  }, null));
+
+  return transfer;
 };
 
 /**
- * Retrieves a file pointer from the bucket
- * @param {String} bucket - Unique bucket ID
+ * Resumes an interrupted {@link Client#storeFileInBucket} by transferring
+ * only the shards that have not yet been added to the staging frame
  * @param {String} token - Token from {@link Client#createToken}
- * @param {String} fileID - The unique file pointer ID
- * @returns {Promise}
+ * @param {UploadManifest} manifest - Manifest of the interrupted upload
+ * @returns {Transfer}
  */
-Client.prototype.getFilePointer = function(bucket, token, fileID) {
+Client.prototype.resumeFileUpload = function(token, manifest) {
   var self = this;
+  var transfer = new Transfer();
+  var file = manifest.get('file');
+  var options = {
+    bucket: manifest.get('bucket'),
+    file: file,
+    filename: manifest.get('filename'),
+    mimetype: manifest.get('mimetype'),
+    manifest: manifest,
+    encrypt: !!manifest.get('encrypted'),
+    encryptMetadata: !!manifest.get('encryptMetadata'),
+    metadata: manifest.get('metadata') || null,
+    redundancy: manifest.get('redundancy') || 1
+  };
 
-  return new Promise(function(resolve, reject) {
-    request({
-      method: 'GET',
-      baseUrl: self._options.baseURI,
-      uri: '/buckets/' + bucket + '/files/' + fileID,
-      headers: {
-        'x-token': token
-      },
-      json: true
-    }, function(err, res, body) {
-      if (err) {
-        return reject(err);
-      }
+  setImmediate(function() {
+    var exists = fs.existsSync(file);
 
-      if (res.statusCode !== 200 && res.statusCode !== 304) {
-        return reject(new Error(body.error || body));
-      }
+    if (options.encrypt && !self._options.masterSeed) {
+      return transfer.reject(new Error('A master seed is required to resume'));
+    }
 
-      resolve(body);
+    if (!exists || fs.statSync(file).size !== manifest.get('size')) {
+      return transfer.reject(new Error('File changed since upload started'));
+    }
+
+    manifest.getShards().forEach(function(shard) {
+      if (shard.tmpName && fs.existsSync(shard.tmpName)) {
+        fs.unlinkSync(shard.tmpName);
+      }
     });
+
+    if (!manifest.get('frame')) {
+      return self._storeFile(transfer, options, null);
+    }
+
+    self.getFileStagingFrameById(manifest.get('frame')).then(function(frame) {
+      self._storeFile(transfer, options, frame);
+    }, transfer.reject.bind(transfer));
   });
+
+  return transfer;
 };
 
 /**
- * Open a series of data channels based on the returned value of
- * {@link Client#getFilePointer} to resolve all the shards and
- * reassemble them together as a binary stream
- * @param {Array} pointers - Result of {@link Client#getFilePointer}
- * @returns {Promise}
+ * Syncs a local directory to the bucket, uploading only the files that are
+ * new or changed since the last sync according to the state database
+ * @param {String} id - Unique bucket ID
+ * @param {String} directory - Path to the local directory
+ * @param {Object} [options]
+ * @param {SyncState|String} options.state - State database, or its path,
+ * defaults to {@link DirectorySync.STATE_FILE} in the directory
+ * @param {Array} options.include - Only sync files matching these globs
+ * @param {Array} options.exclude - Never sync files matching these globs
+ * @param {Boolean} options.remove - Remove bucket files whose local source
+ * is gone
+ * @param {Boolean} options.dryRun - Only report what would be synced
+ * @param {Boolean} options.encrypt - Encrypt files like
+ * {@link Client#storeEncryptedFileInBucket}
+ * @returns {DirectorySync}
+ */
+Client.prototype.syncDirectory = function(id, directory, options) {
+  options = options || {};
+
+  var sync = new DirectorySync(this, {
+    bucket: id,
+    directory: directory,
+    state: options.state,
+    include: options.include,
+    exclude: options.exclude,
+    remove: options.remove,
+    dryRun: options.dryRun,
+    encrypt: options.encrypt
+  });
+
+  setImmediate(sync.start.bind(sync));
+
+  return sync;
+};
+
+/**
+ * Demuxes the file and transfers each shard that is not already staged
+ * @private
+ * @param {Transfer} transfer - The handle to report progress and settle
+ * @param {Object} options - Options for the {@link UploadState}
+ * @param {Object|null} frame - Existing staging frame to add shards to
  */
-Client.prototype.resolveFileFromPointers = function(pointers) {
+Client.prototype._storeFile = function(transfer, options, frame) {
   var self = this;
-  var opened = 0;
-  var size = pointers.reduce(function(a, b) {
-    return { size: a.size + b.size };
-  }).size;
-  var muxer = new storj.FileMuxer({
-    shards: pointers.length,
-    length: size
+  var shardSize = storj.FileDemuxer.DEFAULTS.shardSize;
+  var isPath = typeof options.file === 'string';
+  var size = options.size;
+  var state;
+
+  if (isPath && !fs.existsSync(options.file)) {
+    return transfer.reject(new Error('File does not exist at the given path'));
+  }
+
+  if (isPath) {
+    size = fs.statSync(options.file).size;
+  }
+
+  // NB: Every copy of a shard is sent separately, so progress is counted
+  // over all of them, but the manifest keeps the size of the file itself
+  if (typeof size === 'number') {
+    transfer.totalBytes = size * options.redundancy;
+    transfer.totalShards = Math.ceil(size / shardSize);
+  }
+
+  state = new UploadState({
+    bucket: options.bucket,
+    file: isPath ? options.file : null,
+    filename: options.filename,
+    mimetype: options.mimetype,
+    encryptMetadata: options.encryptMetadata,
+    metadata: options.metadata,
+    redundancy: options.redundancy,
+    manifest: options.manifest,
+    transfer: transfer,
+    numShards: typeof size === 'number' ? transfer.totalShards : null,
+    concurrency: this._options.concurrency,
+    worker: this._shardUploadWorker.bind(this),
+    onComplete: function(err, result) {
+      return err ? transfer.reject(err) : transfer.resolve(result);
+    }
   });
 
-  return new Promise(function(resolve) {
-    pointers.forEach(function(pointer) {
-      var dcx = new storj.DataChannelClient(new storj.Contact(pointer.farmer));
+  if (state.numShards === 0) {
+    return state.finish(new Error('Cannot store an empty file'));
+  }
+
+  if (state.manifest) {
+    state.manifest.set('bucket', state.bucket);
+    state.manifest.set('file', state.file);
+    state.manifest.set('size', size);
+    state.manifest.set('filename', state.filename);
+    state.manifest.set('mimetype', state.mimetype);
+    state.manifest.set('encrypted', !!options.encrypt);
+    state.manifest.set('encryptMetadata', state.encryptMetadata);
+    state.manifest.set('metadata', state.metadata);
+    state.manifest.set('redundancy', state.redundancy);
+  }
+
+  (frame ? Promise.resolve(frame) : this.createFileStagingFrame()).then(
+    function(frame) {
+      var source = Client._createSourceStream(options.file);
 
-      dcx.on('open', function() {
-        muxer.input(dcx.createReadStream(pointer.token, pointer.hash));
+      if (options.encrypt) {
+        state.keyiv = self._getUploadKey(state.bucket, frame.id);
+        source = Client._createEncryptStream(source, state.keyiv);
+      }
+
+      state.frame = frame;
+      state.demuxer = new StreamDemuxer(source, {
+        shardSize: shardSize,
+        size: size
+      });
 
-        opened++;
+      if (state.manifest) {
+        state.manifest.set('frame', frame.id);
+      }
 
-        if (opened === pointers.length) {
-          resolve(muxer);
+      state.demuxer.on('shard', function(shardStream, index) {
+        self._handleShardStream(state, shardStream, index);
+      });
+      state.demuxer.on('error', state.finish.bind(state));
+      state.demuxer.on('finish', function(bytes, shards) {
+        if (!shards) {
+          return state.finish(new Error('Cannot store an empty file'));
         }
+
+        state.numShards = shards;
+        transfer.setTotals(bytes * state.redundancy, shards);
+        self._finalizeUpload(state);
       });
-    });
-  });
+    },
+    state.finish.bind(state)
+  );
 };
 
 /**
- * Sends a request to the storj bridge
+ * Returns the key to encrypt an upload with, derived from the master seed
+ * if one is set
  * @private
- * @param {String} method - HTTP verb
- * @param {String} path - Endpoint path
- * @param {Object} params - Request parameters
- * @param {Boolean} stream - Return the raw response stream?
- * @returns {Promise}
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} frame - Unique staging frame ID
+ * @returns {storj.DataCipherKeyIv}
  */
-Client.prototype._request = function(method, path, params, stream) {
-  var opts = {
-    baseUrl: this._options.baseURI,
-    uri: path,
-    method: method
-  };
+Client.prototype._getUploadKey = function(bucket, frame) {
+  if (this._options.masterSeed) {
+    return keyderivation.deriveFileKey(this._options.masterSeed, bucket, frame);
+  }
+
+  return new storj.DataCipherKeyIv();
+};
+
+/**
+ * Writes a demuxed shard to a tmp file and queues it for transfer
+ * @private
+ * @param {UploadState} state - The upload state machine
+ * @param {stream.Readable} shardStream - The demuxed shard
+ * @param {Number} index - Index of the shard in the file
+ */
+Client.prototype._handleShardStream = function(state, shardStream, index) {
+  var tmpName = path.join(tmpdir, crypto.randomBytes(6).toString('hex'));
+  var hasher = crypto.createHash('sha256');
+  var size = 0;
+  var tmpFile;
 
-  params.__nonce = uuid.v4();
+  if (state.killed) {
+    return shardStream.resume();
+  }
 
-  if (['GET', 'DELETE'].indexOf(method) !== -1) {
-    opts.qs = params;
-    opts.json = true;
-  } else {
-    opts.json = params;
+  if (state.isShardStaged(index)) {
+    shardStream.resume();
+    state.transfer.addBytes(
+      state.manifest.getShard(index).size * state.redundancy
+    );
+    return this._shardTransferComplete(state, index, null);
   }
 
-  this._authenticate(opts);
+  tmpFile = fs.createWriteStream(tmpName);
 
-  if (stream) {
-    return request(opts);
+  state.cleanQueue.push(tmpName);
+  state.holdShard();
+
+  if (state.manifest) {
+    state.manifest.setShard(index, { tmpName: tmpName, transferred: false });
   }
 
-  return new Promise(function(resolve, reject) {
-    request(opts, function(err, res, body) {
-      if (err) {
-        return reject(err);
-      }
+  shardStream.on('data', function(data) {
+    size += data.length;
+    hasher.update(data);
+    tmpFile.write(data);
+  });
+
+  shardStream.on('end', function() {
+    tmpFile.end();
+  });
+
+  tmpFile.on('error', state.finish.bind(state));
+  tmpFile.on('finish', function() {
+    if (state.killed) {
+      return state.cleanup();
+    }
+
+    state.queue.push({
+      state: state,
+      tmpName: tmpName,
+      hash: storj.utils.rmd160(hasher.digest('hex')),
+      size: size,
+      index: index
+    });
+  });
+};
+
+/**
+ * Generates audits for a queued shard and transfers it
+ * @private
+ * @param {Object} task - Shard task pushed by {@link Client#_handleShardStream}
+ * @param {Function} done - To be called on task complete
+ */
+Client.prototype._shardUploadWorker = function(task, done) {
+  var self = this;
+  var state = task.state;
+  var auditGenerator = new storj.AuditStream(3);
+  var shardFile;
 
-      if (res.statusCode >= 400) {
-        return reject(new Error(body.error || body));
+  if (state.killed) {
+    return done();
+  }
+
+  shardFile = fs.createReadStream(task.tmpName);
+
+  shardFile.on('error', function(err) {
+    done();
+    state.finish(err);
+  });
+
+  shardFile.pipe(auditGenerator).on('finish', function() {
+    self._transferShardCopies(state, {
+      hash: task.hash,
+      size: task.size,
+      index: task.index,
+      challenges: auditGenerator.getPrivateRecord().challenges,
+      tree: auditGenerator.getPublicRecord()
+    }, task.tmpName).then(function(farmers) {
+      done();
+      fs.unlinkSync(task.tmpName);
+      state.releaseShard();
+
+      if (state.manifest) {
+        state.manifest.setShard(task.index, {
+          hash: task.hash,
+          size: task.size,
+          transferred: true
+        });
       }
 
-      resolve(body);
+      self._shardTransferComplete(state, task.index, farmers[0]);
+    }, function(err) {
+      done();
+      state.finish(err);
     });
   });
 };
 
 /**
- * Adds authentication headers to request object
+ * Counts a finished shard and creates the bucket entry once every shard has
+ * been transferred
  * @private
- * @param {Object} opts - Options parameter passed to request
- * @return {Object}
+ * @param {UploadState} state - The upload state machine
+ * @param {Number} index - Index of the finished shard
+ * @param {Object|null} farmer - Contact of the farmer storing the shard
  */
-Client.prototype._authenticate = function(opts) {
-  if (this._options.keypair) {
-    var payload = ['GET', 'DELETE'].indexOf(opts.method) !== -1 ?
-                  querystring.stringify(opts.qs) :
-                  JSON.stringify(opts.json);
+Client.prototype._shardTransferComplete = function(state, index, farmer) {
+  state.completed++;
+  state.transfer.completeShard(index, farmer);
+  this._finalizeUpload(state);
+};
+
+/**
+ * Creates the bucket entry if the number of shards is known and all of them
+ * have been transferred
+ * @private
+ * @param {UploadState} state - The upload state machine
+ */
+Client.prototype._finalizeUpload = function(state) {
+  var self = this;
 
-    var contract = [opts.method, opts.uri, payload].join('\n');
+  if (state.finalized || state.completed !== state.numShards) {
+    return;
+  }
 
-    opts.headers = opts.headers || {};
-    opts.headers['x-pubkey'] = this._options.keypair.getPublicKey();
-    opts.headers['x-signature'] = this._options.keypair.sign(contract);
-  } else if (this._options.basicauth) {
-    opts.auth = {
-      user: this._options.basicauth.email,
-      pass: storj.utils.sha256(this._options.basicauth.password)
+  state.finalized = true;
+
+  this._getFileEntry(state).then(function(entry) {
+    return self._request('POST', '/buckets/' + state.bucket + '/files', entry);
+  }).then(function(file) {
+    return state.encryptMetadata ?
+           self.decryptFileMetadata(state.bucket, [file]).then(function(files) {
+             return files[0];
+           }) :
+           file;
+  }).then(function(file) {
+    if (!state.keyiv || !self._options.keyStore) {
+      return file;
+    }
+
+    return Promise.resolve(
+      self._options.keyStore.set(file.id, state.keyiv)
+    ).then(function() {
+      return file;
+    });
+  }).then(function(file) {
+    if (state.manifest) {
+      state.manifest.destroy();
+    }
+
+    state.finish(null, file);
+  }, state.finish.bind(state));
+};
+
+/**
+ * Returns the bucket entry to create for a finished upload, with the name,
+ * type and metadata of the file encrypted if requested
+ * @private
+ * @param {UploadState} state - The upload state machine
+ * @returns {Promise}
+ */
+Client.prototype._getFileEntry = function(state) {
+  if (!state.encryptMetadata) {
+    return Promise.resolve({
+      frame: state.frame.id,
+      mimetype: state.mimetype,
+      filename: state.filename
+    });
+  }
+
+  return this._getMetadataKey(state.bucket).then(function(key) {
+    return {
+      frame: state.frame.id,
+      mimetype: 'application/octet-stream',
+      filename: metadataCipher.encrypt(key, {
+        filename: state.filename,
+        mimetype: state.mimetype,
+        metadata: state.metadata
+      })
     };
+  });
+};
+
+/**
+ * Transfers the shard to as many distinct farmers as the redundancy of the
+ * upload, requesting each mirror as another pointer for the same shard that
+ * excludes the farmers already storing it
+ * @private
+ * @param {UploadState} state - The upload state machine
+ * @param {Object} shard - Shard metadata for the staging frame
+ * @param {String} tmpName - Path to the shard tmp file
+ * @returns {Promise} farmers - Contacts of the farmers storing the shard
+ */
+Client.prototype._transferShardCopies = function(state, shard, tmpName) {
+  var self = this;
+  var farmers = [];
+
+  function _transferCopy() {
+    if (farmers.length === state.redundancy) {
+      return Promise.resolve(farmers);
+    }
+
+    return self._transferShardWithRetry(
+      state,
+      Client._copyShard(shard),
+      tmpName,
+      farmers.map(function(farmer) {
+        return farmer.nodeID;
+      })
+    ).then(function(farmer) {
+      farmers.push(farmer);
+
+      return _transferCopy();
+    });
   }
 
-  return opts;
+  return _transferCopy();
+};
+
+/**
+ * Adds the shard to the frame and transfers it to the returned farmer,
+ * asking the bridge for a different farmer each time a transfer fails
+ * @private
+ * @param {UploadState} state - The upload state machine
+ * @param {Object} shard - Shard metadata for the staging frame
+ * @param {String} tmpName - Path to the shard tmp file
+ * @param {Array} holders - Node IDs of farmers already storing the shard
+ * @returns {Promise}
+ */
+Client.prototype._transferShardWithRetry = function(state, shard, tmpName,
+                                                    holders) {
+  var self = this;
+  var attempts = 0;
+  var exclude = (holders || []).slice();
+  var farmer = null;
+
+  function _attempt() {
+    attempts++;
+    farmer = null;
+
+    if (exclude.length) {
+      shard.exclude = exclude;
+    }
+
+    return self.addShardToFileStagingFrame(
+      state.frame.id,
+      shard
+    ).then(function(pointer) {
+      farmer = pointer.farmer;
+
+      return self._transferShard(state.transfer, shard.index, tmpName, pointer);
+    }).then(function() {
+      return farmer;
+    }, function(err) {
+      if (farmer) {
+        exclude.push(farmer.nodeID);
+      }
+
+      if (state.killed || attempts > self._options.transferRetries) {
+        throw new errors.TransferError(util.format(
+          'Failed to transfer shard %s after %s attempts (farmer: %s): %s',
+          shard.index,
+          attempts,
+          farmer ? storj.utils.getContactURL(farmer) : 'none',
+          err.message
+        ), {
+          shard: shard.index,
+          farmer: farmer,
+          attempts: attempts,
+          cause: err
+        });
+      }
+
+      state.transfer.emit('retry', shard.index, farmer, err);
+
+      return _attempt();
+    });
+  }
+
+  return _attempt();
+};
+
+/**
+ * Transfers a shard tmp file to the farmer in the given pointer
+ * @private
+ * @param {Transfer} transfer - The handle to report progress to
+ * @param {Number} index - Index of the shard in the file
+ * @param {String} tmpName - Path to the shard tmp file
+ * @param {Object} pointer - Pointer returned when adding shard to frame
+ * @returns {Promise}
+ */
+Client.prototype._transferShard = function(transfer, index, tmpName, pointer) {
+  var self = this;
+
+  return new Promise(function(resolve, reject) {
+    var client = self._createDataChannel(pointer.farmer);
+    var sent = 0;
+    var timeout = setTimeout(function() {
+      _fail(new Error('Shard transfer timed out'));
+    }, self._options.transferTimeout);
+
+    function _fail(err) {
+      clearTimeout(timeout);
+      Client._closeDataChannel(client);
+      transfer.addBytes(-sent);
+      sent = 0;
+      reject(err);
+    }
+
+    client.on('error', _fail);
+    client.on('open', function() {
+      var shardFile = fs.createReadStream(tmpName);
+      var datachannel = client.createWriteStream(pointer.token, pointer.hash);
+
+      transfer.emit('shard-start', index, pointer.farmer);
+      shardFile.on('data', function(data) {
+        sent += data.length;
+        transfer.addBytes(data.length);
+      });
+      shardFile.on('error', _fail);
+      datachannel.on('error', _fail);
+      shardFile.pipe(datachannel).on('finish', function() {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+  });
+};
+
+/**
+ * Retrieves a file pointer from the bucket
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} token - Token from {@link Client#createToken}
+ * @param {String} fileID - The unique file pointer ID
+ * @param {Object} options
+ * @param {Number} options.skip - Number of shard pointers to skip
+ * @param {Number} options.limit - Maximum number of shard pointers to return
+ * @param {Array} options.exclude - Node IDs of farmers to exclude
+ * @returns {Promise}
+ */
+Client.prototype.getFilePointer = function(bucket, token, fileID, options) {
+  var self = this;
+
+  return this._send(function() {
+    var opts = {
+      method: 'GET',
+      baseUrl: self._options.baseURI,
+      uri: '/buckets/' + bucket + '/files/' + fileID,
+      headers: {
+        'x-token': token
+      },
+      json: true,
+      timeout: self._options.requestTimeout
+    };
+
+    if (options) {
+      opts.qs = {
+        skip: options.skip,
+        limit: options.limit,
+        exclude: (options.exclude || []).join(',')
+      };
+    }
+
+    return opts;
+  }, function(res) {
+    return res.statusCode === 200 || res.statusCode === 304;
+  }, false);
+};
+
+/**
+ * Open a series of data channels based on the returned value of
+ * {@link Client#getFilePointer} to resolve all the shards and
+ * reassemble them together as a binary stream. The promise resolves once
+ * the first data channel is open, after which a shard that cannot be
+ * resolved is emitted as a TransferError (or IntegrityError) on the returned
+ * stream. Pointers that share an index are mirrors of the same shard, which
+ * is read from the first of them that can be reached.
+ * @param {Array} pointers - Result of {@link Client#getFilePointer}
+ * @param {Object} options
+ * @param {String} options.bucket - Bucket ID used to fetch fresh pointers
+ * @param {String} options.file - File ID used to fetch fresh pointers
+ * @param {Object} options.range - Only resolve the shards covering this range
+ * @param {Number} options.range.start - Offset of the first byte
+ * @param {Number} options.range.end - Offset of the last byte (inclusive)
+ * @returns {Transfer}
+ */
+Client.prototype.resolveFileFromPointers = function(pointers, options) {
+  var transfer = new Transfer();
+
+  this._resolveFile(transfer, pointers, options || {}, null);
+
+  return transfer;
+};
+
+/**
+ * Resolves a file like {@link Client#resolveFileFromPointers}, decrypting it
+ * with the key saved in the key store by
+ * {@link Client#storeEncryptedFileInBucket}, or the key derived from the
+ * master seed if the key store has no entry for the file
+ * @param {Array} pointers - Result of {@link Client#getFilePointer}
+ * @param {Object} options - Same as {@link Client#resolveFileFromPointers}
+ * @param {String} options.bucket - Bucket ID of the file (required)
+ * @param {String} options.file - File ID to look up the key for (required)
+ * @returns {Transfer}
+ */
+Client.prototype.resolveEncryptedFileFromPointers = function(pointers,
+                                                             options) {
+  var self = this;
+  var transfer = new Transfer();
+
+  options = options || {};
+
+  if (!this._options.keyStore && !this._options.masterSeed) {
+    transfer.reject(new Error('A key store is required for decryption'));
+    return transfer;
+  }
+
+  this._getDownloadKey(options.bucket, options.file).then(function(keyiv) {
+    if (!keyiv) {
+      return transfer.reject(new Error('No decryption key found for file'));
+    }
+
+    self._resolveFile(transfer, pointers, options, keyiv);
+  }, transfer.reject.bind(transfer));
+
+  return transfer;
+};
+
+/**
+ * Looks up the key for a file in the key store, falling back to deriving
+ * it from the master seed and the staging frame of the file
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} id - Unique file ID
+ * @returns {Promise}
+ */
+Client.prototype._getDownloadKey = function(bucket, id) {
+  var self = this;
+  var keyStore = this._options.keyStore;
+
+  return Promise.resolve(keyStore ? keyStore.get(id) : null).then(
+    function(keyiv) {
+      if (keyiv || !self._options.masterSeed) {
+        return keyiv;
+      }
+
+      return self.listFilesInBucket(bucket).then(function(files) {
+        var file = files.filter(function(file) {
+          return file.id === id;
+        })[0];
+
+        if (!file || !file.frame) {
+          throw new Error('Cannot derive a key for a file without its frame');
+        }
+
+        return keyderivation.deriveFileKey(
+          self._options.masterSeed,
+          bucket,
+          file.frame
+        );
+      });
+    }
+  );
+};
+
+/**
+ * Returns the key to encrypt file metadata in the bucket with, derived from
+ * the master seed if one is set, otherwise kept in the key store (and
+ * created there on first use)
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @returns {Promise}
+ */
+Client.prototype._getMetadataKey = function(bucket) {
+  var keyStore = this._options.keyStore;
+  var id = Client.METADATA_KEY_PREFIX + bucket;
+
+  if (this._options.masterSeed) {
+    return Promise.resolve(
+      keyderivation.deriveMetadataKey(this._options.masterSeed, bucket)
+    );
+  }
+
+  if (!keyStore) {
+    return Promise.reject(
+      new Error('A key store is required to encrypt metadata')
+    );
+  }
+
+  return Promise.resolve(keyStore.get(id)).then(function(keyiv) {
+    if (keyiv) {
+      return keyiv;
+    }
+
+    keyiv = new storj.DataCipherKeyIv();
+
+    return Promise.resolve(keyStore.set(id, keyiv)).then(function() {
+      return keyiv;
+    });
+  }).then(function(keyiv) {
+    return keyiv.getCipherKeyIv()[0];
+  });
+};
+
+/**
+ * Returns every key file metadata in the bucket may be encrypted with: the
+ * one derived from the master seed and the one in the key store
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @returns {Promise}
+ */
+Client.prototype._getMetadataKeys = function(bucket) {
+  var keyStore = this._options.keyStore;
+  var keys = [];
+
+  if (this._options.masterSeed) {
+    keys.push(
+      keyderivation.deriveMetadataKey(this._options.masterSeed, bucket)
+    );
+  }
+
+  return Promise.resolve(
+    keyStore ? keyStore.get(Client.METADATA_KEY_PREFIX + bucket) : null
+  ).then(function(keyiv) {
+    return keyiv ? keys.concat([keyiv.getCipherKeyIv()[0]]) : keys;
+  });
+};
+
+/**
+ * Opens data channels to the farmers of the selected shards and settles the
+ * transfer with the reassembled (and optionally decrypted) stream
+ * @private
+ * @param {Transfer} transfer - The handle to report progress and settle
+ * @param {Array} pointers - Result of {@link Client#getFilePointer}
+ * @param {Object} options - Options passed to resolveFileFromPointers
+ * @param {storj.DataCipherKeyIv|null} keyiv - Key to decrypt the data with
+ */
+Client.prototype._resolveFile = function(transfer, pointers, options, keyiv) {
+  var self = this;
+  var mirrors = Client._groupMirrors(pointers);
+  var selection = Client._selectShards(mirrors.map(function(group) {
+    return group[0];
+  }), options.range);
+  var muxer, output, queue;
+
+  transfer.totalBytes = selection.size;
+  transfer.totalShards = selection.pointers.length;
+
+  if (!selection.pointers.length) {
+    return transfer.reject(new Error('Byte range is not satisfiable'));
+  }
+
+  muxer = new StreamMuxer({
+    shards: selection.pointers.length,
+    length: selection.size
+  });
+  output = options.range ?
+           muxer.pipe(Client._createRangeStream(selection)) :
+           muxer;
+
+  if (keyiv) {
+    output = output.pipe(Client._createDecryptStream(
+      keyiv,
+      options.range ? options.range.start : 0
+    ));
+  }
+
+  queue = async.queue(function(shard, done) {
+    // NB: Hold the queue slot until the muxer has consumed this shard, so
+    // only a bounded number of verified shards are held in memory
+    shard.output.on('end', function() {
+      done();
+    });
+    self._resolveShard(shard, options).catch(done);
+  }, this._options.concurrency);
+
+  if (output !== muxer) {
+    muxer.on('error', output.emit.bind(output, 'error'));
+  }
+
+  function _onShardOpen() {
+    transfer.resolve(output);
+  }
+
+  function _onShardResolved(err) {
+    if (!err || transfer.failed) {
+      return;
+    }
+
+    queue.kill();
+    muxer.abort();
+
+    if (transfer.settled) {
+      output.emit('error', err);
+    }
+
+    transfer.reject(err);
+  }
+
+  selection.pointers.forEach(function(pointer, i) {
+    var input = new stream.PassThrough();
+
+    muxer.input(input);
+    queue.push({
+      index: selection.first + i,
+      pointer: pointer,
+      mirrors: mirrors[selection.first + i].slice(1),
+      output: input,
+      transfer: transfer,
+      onOpen: _onShardOpen
+    }, _onShardResolved);
+  });
+};
+
+/**
+ * Reads a single shard into its muxer input, moving on to the next mirror
+ * each time reading from a farmer fails, then to fresh pointers that exclude
+ * the failed farmers once the mirrors are exhausted
+ * @private
+ * @param {Object} shard - Shard task created by resolveFileFromPointers
+ * @param {Object} options - Options passed to resolveFileFromPointers
+ * @returns {Promise}
+ */
+Client.prototype._resolveShard = function(shard, options) {
+  var self = this;
+  var attempts = 0;
+  var exclude = [];
+  var canRefresh = options.bucket && options.file;
+
+  function _getMirror() {
+    return shard.mirrors.filter(function(mirror) {
+      return exclude.indexOf(mirror.farmer.nodeID) === -1;
+    })[0];
+  }
+
+  function _attempt(pointer) {
+    attempts++;
+
+    return self._readShard(shard, pointer).catch(function(err) {
+      var mirror;
+
+      exclude.push(pointer.farmer.nodeID);
+      mirror = _getMirror();
+
+      if (!mirror && (!canRefresh ||
+                      attempts > self._options.transferRetries)) {
+        if (err instanceof errors.IntegrityError) {
+          throw err;
+        }
+
+        throw new errors.TransferError(util.format(
+          'Failed to resolve shard %s after %s attempts (farmer: %s): %s',
+          shard.index,
+          attempts,
+          storj.utils.getContactURL(pointer.farmer),
+          err.message
+        ), {
+          shard: shard.index,
+          farmer: pointer.farmer,
+          attempts: attempts,
+          cause: err
+        });
+      }
+
+      shard.transfer.emit('retry', shard.index, pointer.farmer, err);
+
+      if (mirror) {
+        return _attempt(mirror);
+      }
+
+      return self._getFreshPointer(
+        options,
+        shard,
+        exclude
+      ).then(_attempt, function(refreshErr) {
+        // NB: A corrupt shard with nowhere else to read it from is reported
+        // as the integrity failure, not as the failure to find another farmer
+        if (err instanceof errors.IntegrityError) {
+          throw err;
+        }
+
+        refreshErr.shard = shard.index;
+        refreshErr.farmer = pointer.farmer;
+        refreshErr.cause = refreshErr.cause || err;
+        throw refreshErr;
+      });
+    });
+  }
+
+  return _attempt(shard.pointer);
+};
+
+/**
+ * Fetches a new pointer for the shard with a new token, excluding farmers
+ * that have already failed to serve it
+ * @private
+ * @param {Object} options - Options passed to resolveFileFromPointers
+ * @param {Object} shard - Shard task created by resolveFileFromPointers
+ * @param {Array} exclude - Node IDs of the farmers to exclude
+ * @returns {Promise}
+ */
+Client.prototype._getFreshPointer = function(options, shard, exclude) {
+  var self = this;
+
+  return this.createToken(options.bucket, 'PULL').then(function(token) {
+    return self.getFilePointer(options.bucket, token.token, options.file, {
+      skip: shard.index,
+      limit: 1,
+      exclude: exclude
+    });
+  }).then(function(pointers) {
+    if (!pointers.length || pointers[0].hash !== shard.pointer.hash) {
+      throw new errors.TransferError('No other farmer is available for shard', {
+        shard: shard.index,
+        attempts: exclude.length
+      });
+    }
+
+    return pointers[0];
+  });
+};
+
+/**
+ * Opens a data channel to the farmer and reads the shard, writing it into
+ * its muxer input only once its size and hash match the pointer
+ * @private
+ * @param {Object} shard - Shard task created by resolveFileFromPointers
+ * @param {Object} pointer - The pointer to read the shard from
+ * @returns {Promise}
+ */
+Client.prototype._readShard = function(shard, pointer) {
+  var self = this;
+
+  return new Promise(function(resolve, reject) {
+    var dcx = self._createDataChannel(pointer.farmer);
+    var hasher = crypto.createHash('sha256');
+    var finished = false;
+    var chunks = [];
+    var received = 0;
+    var source = null;
+    var timer = setTimeout(function() {
+      _finish(new Error('Timed out connecting to farmer'));
+    }, self._options.connectTimeout);
+
+    function _resetIdleTimer() {
+      clearTimeout(timer);
+      timer = setTimeout(function() {
+        _finish(new Error('Farmer stopped sending data'));
+      }, self._options.idleTimeout);
+    }
+
+    function _integrityError(message, expected, actual) {
+      return new errors.IntegrityError(message, {
+        shard: shard.index,
+        farmer: pointer.farmer,
+        expected: expected,
+        actual: actual
+      });
+    }
+
+    function _verify() {
+      var hash = storj.utils.rmd160(hasher.digest('hex'));
+
+      if (received !== pointer.size) {
+        return _integrityError(
+          'Shard size does not match pointer',
+          pointer.size,
+          received
+        );
+      }
+
+      if (hash !== pointer.hash) {
+        return _integrityError(
+          'Shard hash does not match pointer',
+          pointer.hash,
+          hash
+        );
+      }
+
+      return null;
+    }
+
+    function _finish(err) {
+      if (finished) {
+        return;
+      }
+
+      finished = true;
+      clearTimeout(timer);
+
+      if (!err) {
+        shard.output.end(Buffer.concat(chunks));
+        shard.transfer.completeShard(shard.index, pointer.farmer);
+        return resolve();
+      }
+
+      shard.transfer.addBytes(-received);
+
+      if (source) {
+        source.pause();
+        source.removeAllListeners('data');
+        source.removeAllListeners('end');
+      }
+
+      Client._closeDataChannel(dcx);
+      reject(err);
+    }
+
+    dcx.on('error', _finish);
+    dcx.on('open', function() {
+      if (finished) {
+        return;
+      }
+
+      shard.onOpen();
+      shard.transfer.emit('shard-start', shard.index, pointer.farmer);
+      _resetIdleTimer();
+
+      source = dcx.createReadStream(pointer.token, pointer.hash);
+
+      source.on('error', _finish);
+      source.on('data', function(data) {
+        _resetIdleTimer();
+
+        if (received + data.length > pointer.size) {
+          return _finish(_integrityError(
+            'Farmer sent more data than the shard size',
+            pointer.size,
+            received + data.length
+          ));
+        }
+
+        received += data.length;
+
+        hasher.update(data);
+        chunks.push(data);
+        shard.transfer.addBytes(data.length);
+      });
+      source.on('end', function() {
+        _finish(_verify());
+      });
+    });
+  });
+};
+
+/**
+ * Opens a data channel to the given farmer
+ * @private
+ * @param {Object} farmer - Contact of the farmer
+ * @returns {storj.DataChannelClient}
+ */
+Client.prototype._createDataChannel = function(farmer) {
+  var contact = storj.Contact(farmer);
+
+  if (this._options.createDataChannel) {
+    return this._options.createDataChannel(contact);
+  }
+
+  return new storj.DataChannelClient(contact);
+};
+
+/**
+ * Returns a boolean indicating if the name, type and metadata of the file
+ * were encrypted by {@link Client#storeFileInBucket}
+ * @static
+ * @param {Object} file - File listed from a bucket
+ * @returns {Boolean}
+ */
+Client.hasEncryptedMetadata = function(file) {
+  return metadataCipher.isEncrypted(file.filename);
+};
+
+/**
+ * Sends a request to the storj bridge
+ * @private
+ * @param {String} method - HTTP verb
+ * @param {String} path - Endpoint path
+ * @param {Object} params - Request parameters
+ * @param {Boolean} stream - Return the raw response stream?
+ * @returns {Promise}
+ */
+Client.prototype._request = function(method, path, params, stream) {
+  var self = this;
+
+  function createOptions() {
+    var opts = {
+      baseUrl: self._options.baseURI,
+      uri: path,
+      method: method,
+      timeout: self._options.requestTimeout
+    };
+
+    params.__nonce = uuid.v4();
+
+    if (['GET', 'DELETE'].indexOf(method) !== -1) {
+      opts.qs = params;
+      opts.json = true;
+    } else {
+      opts.json = params;
+    }
+
+    return opts;
+  }
+
+  if (stream) {
+    return request(this._prepareRequest(createOptions(), {
+      attempt: 0,
+      started: Date.now()
+    }, true));
+  }
+
+  return this._send(createOptions, function(res) {
+    return res.statusCode < 400;
+  }, true);
+};
+
+/**
+ * Sends a request, retrying idempotent requests that fail with a transient
+ * error after an exponential backoff with jitter, or the delay the bridge
+ * asks for with Retry-After
+ * @private
+ * @param {Function} createOptions - Returns the request options for each
+ * attempt, so every attempt is sent with a fresh nonce and signature
+ * @param {Function} isSuccess - Returns a boolean indicating if the given
+ * response is successful
+ * @param {Boolean} authenticate - Sign each attempt with the client's keys?
+ * @returns {Promise}
+ */
+Client.prototype._send = function(createOptions, isSuccess, authenticate) {
+  var self = this;
+  var attempt = 0;
+
+  return new Promise(function(resolve, reject) {
+    function attemptRequest() {
+      var context = { attempt: attempt, started: Date.now() };
+      var opts;
+
+      try {
+        opts = self._prepareRequest(createOptions(), context, authenticate);
+      } catch (err) {
+        return reject(err);
+      }
+
+      request(opts, function(err, res, body) {
+        var failure = null;
+
+        context.elapsed = Date.now() - context.started;
+
+        try {
+          if (!err) {
+            self._runMiddleware('response', [opts, res, body, context]);
+          }
+
+          if (err || !isSuccess(res)) {
+            failure = err ?
+                      Client._createNetworkError(opts, err) :
+                      Client._createResponseError(opts, res, body);
+            self._runMiddleware('error', [opts, failure, context]);
+          }
+        } catch (middlewareError) {
+          return reject(middlewareError);
+        }
+
+        if (!failure) {
+          return resolve(body);
+        }
+
+        if (attempt < self._options.requestRetries &&
+            Client._isRetryable(opts.method, opts.uri, err, res)) {
+          return setTimeout(
+            attemptRequest,
+            self._getRetryDelay(attempt++, res)
+          );
+        }
+
+        reject(failure);
+      });
+    }
+
+    attemptRequest();
+  });
+};
+
+/**
+ * Passes the options for a request attempt through the request middleware
+ * and then signs them, so that changes made by middleware are signed too
+ * @private
+ * @param {Object} opts - Options to pass to request
+ * @param {Object} context - Shared with the middleware for this attempt
+ * @param {Boolean} authenticate - Sign the request with the client's keys?
+ * @returns {Object} opts - The options to send
+ */
+Client.prototype._prepareRequest = function(opts, context, authenticate) {
+  opts.headers = opts.headers || {};
+  this._runMiddleware('request', [opts, context]);
+
+  return authenticate ? this._authenticate(opts) : opts;
+};
+
+/**
+ * Calls the given hook of every middleware that defines it, in the order
+ * they were added
+ * @private
+ * @param {String} hook - One of request, response or error
+ * @param {Array} args - Arguments to call the hook with
+ */
+Client.prototype._runMiddleware = function(hook, args) {
+  this._middleware.forEach(function(middleware) {
+    if (typeof middleware[hook] === 'function') {
+      middleware[hook].apply(middleware, args);
+    }
+  });
+};
+
+/**
+ * Returns the milliseconds to wait before retrying a failed request
+ * @private
+ * @param {Number} attempt - Number of retries already made
+ * @param {http.IncomingMessage} res - The failed response, if any
+ * @returns {Number}
+ */
+Client.prototype._getRetryDelay = function(attempt, res) {
+  var retryAfter = res ?
+                   Client._parseRetryAfter(res.headers['retry-after']) :
+                   null;
+  var ceiling;
+
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  ceiling = Math.min(
+    this._options.requestRetryDelay * Math.pow(2, attempt),
+    this._options.requestRetryMaxDelay
+  );
+
+  // NB: Full jitter keeps clients that failed together from retrying together
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Adds authentication headers to request object
+ * @private
+ * @param {Object} opts - Options parameter passed to request
+ * @return {Object}
+ */
+Client.prototype._authenticate = function(opts) {
+  if (this._options.keypair) {
+    signing.signRequest(opts, this._options.keypair);
+  } else if (this._options.basicauth) {
+    opts.auth = {
+      user: this._options.basicauth.email,
+      pass: storj.utils.sha256(this._options.basicauth.password)
+    };
+  }
+
+  return opts;
+};
+
+/**
+ * Returns a boolean indicating if a failed request is safe and worth retrying
+ * @private
+ * @static
+ * @param {String} method - HTTP verb of the request
+ * @param {String} path - Endpoint path of the request
+ * @param {Error|null} err - Error raised by the request, if any
+ * @param {http.IncomingMessage} res - The failed response, if any
+ * @returns {Boolean}
+ */
+Client._isRetryable = function(method, path, err, res) {
+  var excluded = Client.NON_IDEMPOTENT_REQUESTS.some(function(request) {
+    return request[0] === method && request[1].test(path);
+  });
+
+  if (Client.IDEMPOTENT_METHODS.indexOf(method) === -1 || excluded) {
+    return false;
+  }
+
+  if (err) {
+    return Client.RETRYABLE_ERRORS.indexOf(err.code) !== -1;
+  }
+
+  return res.statusCode === 429 ||
+         (res.statusCode >= 500 && [501, 505].indexOf(res.statusCode) === -1);
+};
+
+/**
+ * Converts the value of a Retry-After header to milliseconds
+ * @private
+ * @static
+ * @param {String} value - Delay in seconds or an HTTP date
+ * @returns {Number|null}
+ */
+Client._parseRetryAfter = function(value) {
+  var date;
+
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  date = Date.parse(value);
+
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Creates the error to reject with for an unsuccessful bridge response
+ * @private
+ * @static
+ * @param {Object} opts - Options the request was sent with
+ * @param {http.IncomingMessage} res - The bridge response
+ * @param {Object|String} body - The parsed response body
+ * @returns {errors.BridgeError}
+ */
+Client._createResponseError = function(opts, res, body) {
+  var status = res.statusCode;
+  var details = {
+    statusCode: status,
+    method: opts.method,
+    path: opts.uri,
+    body: body
+  };
+  var message = (body && body.error) ||
+                (typeof body === 'string' && body) ||
+                util.format('%s %s failed with status %s',
+                            opts.method, opts.uri, status);
+
+  if (status === 401 || status === 403) {
+    return new errors.AuthenticationError(message, details);
+  }
+
+  if (status === 404) {
+    return new errors.NotFoundError(message, details);
+  }
+
+  if (status === 429) {
+    details.retryAfter = Client._parseRetryAfter(res.headers['retry-after']);
+    return new errors.RateLimitError(message, details);
+  }
+
+  if (status >= 400 && status < 500) {
+    return new errors.ValidationError(message, details);
+  }
+
+  if (status >= 500) {
+    return new errors.ServerError(message, details);
+  }
+
+  return new errors.BridgeError(message, details);
+};
+
+/**
+ * Creates the error to reject with when no response was received
+ * @private
+ * @static
+ * @param {Object} opts - Options the request was sent with
+ * @param {Error} err - The error raised by the request
+ * @returns {errors.NetworkError}
+ */
+Client._createNetworkError = function(opts, err) {
+  return new errors.NetworkError(err.message, {
+    method: opts.method,
+    path: opts.uri,
+    code: err.code,
+    cause: err
+  });
+};
+
+/**
+ * Works out which pointers cover the given byte range from their sizes
+ * @private
+ * @param {Array} pointers - Result of {@link Client#getFilePointer}
+ * @param {Object} range - Byte range to cover, or all pointers if omitted
+ * @param {Number} range.start - Offset of the first byte
+ * @param {Number} range.end - Offset of the last byte (inclusive)
+ * @returns {Object} selection - The covering pointers, index of the first,
+ * their total size, the offset of the range within them and its length
+ */
+Client._selectShards = function(pointers, range) {
+  var selection = { pointers: [], first: 0, size: 0, offset: 0, length: 0 };
+  var position = 0;
+  var end;
+
+  if (!range) {
+    selection.pointers = pointers;
+    selection.size = pointers.reduce(function(size, pointer) {
+      return size + pointer.size;
+    }, 0);
+    selection.length = selection.size;
+    return selection;
+  }
+
+  end = typeof range.end === 'number' ? range.end : Infinity;
+
+  if (!(range.start >= 0) || end < range.start) {
+    return selection;
+  }
+
+  pointers.forEach(function(pointer, index) {
+    var shardEnd = position + pointer.size - 1;
+
+    if (shardEnd >= range.start && position <= end) {
+      if (!selection.pointers.length) {
+        selection.first = index;
+        selection.offset = range.start - position;
+      }
+
+      selection.pointers.push(pointer);
+      selection.size += pointer.size;
+      selection.length = Math.min(end, shardEnd) - range.start + 1;
+    }
+
+    position += pointer.size;
+  });
+
+  return selection;
+};
+
+/**
+ * Groups pointers to mirrors of the same shard, in the order their shards
+ * first appear. Pointers without an index are each treated as a shard.
+ * @private
+ * @param {Array} pointers - Result of {@link Client#getFilePointer}
+ * @returns {Array} mirrors - A list of pointers for each shard
+ */
+Client._groupMirrors = function(pointers) {
+  var groups = {};
+
+  return pointers.reduce(function(mirrors, pointer) {
+    if (typeof pointer.index !== 'number') {
+      return mirrors.concat([[pointer]]);
+    }
+
+    if (!groups[pointer.index]) {
+      groups[pointer.index] = [];
+      mirrors.push(groups[pointer.index]);
+    }
+
+    groups[pointer.index].push(pointer);
+
+    return mirrors;
+  }, []);
+};
+
+/**
+ * Returns a shallow copy of the shard metadata, so that each copy of the
+ * shard can be added to the frame with its own exclusions
+ * @private
+ * @param {Object} shard - Shard metadata for the staging frame
+ * @returns {Object}
+ */
+Client._copyShard = function(shard) {
+  return Object.keys(shard).reduce(function(copy, key) {
+    copy[key] = shard[key];
+    return copy;
+  }, {});
+};
+
+/**
+ * Returns a stream that trims reassembled shards down to the selected range
+ * @private
+ * @param {Object} selection - Result of {@link Client._selectShards}
+ * @returns {stream.Transform}
+ */
+Client._createRangeStream = function(selection) {
+  var position = 0;
+  var start = selection.offset;
+  var end = selection.offset + selection.length;
+
+  return new stream.Transform({
+    transform: function(chunk, encoding, next) {
+      var from = Math.max(start - position, 0);
+      var to = Math.min(end - position, chunk.length);
+
+      position += chunk.length;
+      next(null, to > from ? chunk.slice(from, to) : null);
+    }
+  });
+};
+
+/**
+ * Returns a stream that encrypts the source, forwarding source errors
+ * @private
+ * @param {stream.Readable} source - The data to encrypt
+ * @param {storj.DataCipherKeyIv} keyiv - Key to encrypt the data with
+ * @returns {stream.Readable}
+ */
+Client._createEncryptStream = function(source, keyiv) {
+  var encrypter = new storj.EncryptStream(keyiv);
+
+  source.on('error', encrypter.emit.bind(encrypter, 'error'));
+
+  return source.pipe(encrypter);
+};
+
+/**
+ * Returns a stream that decrypts data starting at the given offset in the
+ * file. Data is encrypted with aes-256-ctr, so decryption can start at any
+ * block by advancing the counter in the iv.
+ * @private
+ * @param {storj.DataCipherKeyIv} keyiv - Key to decrypt the data with
+ * @param {Number} offset - Position of the first byte in the file
+ * @returns {stream.Transform}
+ */
+Client._createDecryptStream = function(keyiv, offset) {
+  var cipherKeyIv, iv, carry, decipher;
+
+  if (!offset) {
+    return new storj.DecryptStream(keyiv);
+  }
+
+  cipherKeyIv = keyiv.getCipherKeyIv();
+  iv = Buffer.concat([cipherKeyIv[1]]);
+  carry = Math.floor(offset / 16);
+
+  for (var i = iv.length - 1; i >= 0 && carry; i--) {
+    carry += iv[i];
+    iv[i] = carry % 256;
+    carry = Math.floor(carry / 256);
+  }
+
+  decipher = crypto.createDecipheriv('aes-256-ctr', cipherKeyIv[0], iv);
+  decipher.update(Buffer.alloc(offset % 16));
+
+  return decipher;
+};
+
+/**
+ * Returns a readable stream for a file path, buffer or readable stream
+ * @private
+ * @param {String|Buffer|stream.Readable} file - The data to read
+ * @returns {stream.Readable}
+ */
+Client._createSourceStream = function(file) {
+  var source;
+
+  if (typeof file === 'string') {
+    return fs.createReadStream(file);
+  }
+
+  if (Buffer.isBuffer(file)) {
+    source = new stream.PassThrough();
+    source.end(file);
+    return source;
+  }
+
+  return file;
+};
+
+/**
+ * Closes a data channel through whichever of close or destroy it exposes
+ * @private
+ * @static
+ * @param {storj.DataChannelClient} dcx - The data channel to close
+ */
+Client._closeDataChannel = function(dcx) {
+  if (typeof dcx.close === 'function') {
+    dcx.close();
+  } else if (typeof dcx.destroy === 'function') {
+    dcx.destroy();
+  }
 };
 
 module.exports = Client;
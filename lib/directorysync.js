@@ -0,0 +1,437 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var inherits = require('util').inherits;
+var minimatch = require('minimatch');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('./errors');
+var SyncState = require('./syncstate');
+
+/**
+ * Handle returned from {@link Client#syncDirectory} that reports each file
+ * as it is synced and settles like a promise with a summary of the sync
+ * @constructor
+ * @param {Client} client - Client to store and remove files with
+ * @param {Object} options
+ * @param {String} options.bucket - Unique bucket ID to sync to
+ * @param {String} options.directory - Path to the local directory
+ * @param {SyncState|String} options.state - State database, or its path,
+ * defaults to {@link DirectorySync.STATE_FILE} in the directory
+ * @param {Array} options.include - Only sync files matching these globs
+ * @param {Array} options.exclude - Never sync files matching these globs
+ * @param {Boolean} options.remove - Remove bucket files whose local source
+ * is gone
+ * @param {Boolean} options.dryRun - Only report what would be synced
+ * @param {Boolean} options.encrypt - Store files with
+ * {@link Client#storeEncryptedFileInBucket}
+ * @fires DirectorySync#upload
+ * @fires DirectorySync#remove
+ * @fires DirectorySync#failure
+ */
+function DirectorySync(client, options) {
+  if (!(this instanceof DirectorySync)) {
+    return new DirectorySync(client, options);
+  }
+
+  var self = this;
+
+  EventEmitter.call(this);
+
+  this.bucket = options.bucket;
+  this.directory = path.resolve(options.directory);
+  this.state = options.state instanceof SyncState ?
+               options.state :
+               new SyncState(options.state || path.join(
+                 this.directory,
+                 DirectorySync.STATE_FILE
+               ));
+  this.include = options.include || [];
+  this.exclude = options.exclude || [];
+  this.remove = !!options.remove;
+  this.dryRun = !!options.dryRun;
+  this.encrypt = !!options.encrypt;
+  this.summary = {
+    bucket: this.bucket,
+    directory: this.directory,
+    dryRun: this.dryRun,
+    added: [],
+    updated: [],
+    removed: [],
+    unchanged: 0,
+    skipped: [],
+    failed: [],
+    unremoved: [],
+    bytes: 0
+  };
+  this._client = client;
+  this._promise = new Promise(function(resolve, reject) {
+    self._resolvePromise = resolve;
+    self._rejectPromise = reject;
+  });
+
+  // NB: Callers may rely on events alone, so never report unhandled rejection
+  this._promise.catch(function() {});
+}
+
+inherits(DirectorySync, EventEmitter);
+
+/**
+ * Name of the state database kept in the directory when no other state is
+ * given, it is never synced itself
+ * @static
+ */
+DirectorySync.STATE_FILE = '.storjsync.json';
+
+/**
+ * Triggered when a new or changed file starts uploading
+ * @event DirectorySync#upload
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @param {Transfer|null} transfer - The upload, or null for a dry run
+ */
+
+/**
+ * Triggered when a file whose local source is gone is removed
+ * @event DirectorySync#remove
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @param {String} id - ID of the file in the bucket
+ */
+
+/**
+ * Triggered when a file could not be synced, the sync continues with the
+ * remaining files
+ * @event DirectorySync#failure
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @param {Error} error - The reason the file could not be synced
+ */
+
+/**
+ * Compares the directory with the state database, uploads new and changed
+ * files and removes stale ones, then settles with the summary
+ */
+DirectorySync.prototype.start = function() {
+  var self = this;
+  var files;
+
+  if (!fs.existsSync(this.directory) ||
+      !fs.statSync(this.directory).isDirectory()) {
+    return this._rejectPromise(new Error('No directory found at the path'));
+  }
+
+  if (this.state.getBucket() && this.state.getBucket() !== this.bucket) {
+    return this._rejectPromise(new Error(
+      'Directory is already synced to bucket ' + this.state.getBucket()
+    ));
+  }
+
+  try {
+    files = this._listFiles('');
+  } catch (err) {
+    return this._rejectPromise(err);
+  }
+
+  this._series(files, this._syncFile.bind(this)).then(function() {
+    return self.remove ? self._series(
+      self._getStalePaths(),
+      self._removeFile.bind(self)
+    ) : null;
+  }).then(function() {
+    self._resolvePromise(self.summary);
+  }, this._rejectPromise);
+};
+
+/**
+ * Attaches callbacks for when the sync settles
+ * @param {Function} onFulfilled - Called with the sync summary
+ * @param {Function} onRejected - Called with the reason it failed
+ * @returns {Promise}
+ */
+DirectorySync.prototype.then = function(onFulfilled, onRejected) {
+  return this._promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Attaches a callback for when the sync fails
+ * @param {Function} onRejected - Called with the reason it failed
+ * @returns {Promise}
+ */
+DirectorySync.prototype.catch = function(onRejected) {
+  return this._promise.catch(onRejected);
+};
+
+/**
+ * Recursively lists the regular files in the directory that pass the
+ * include and exclude globs
+ * @private
+ * @param {String} reldir - Subdirectory to list, relative to the directory
+ * @returns {Array} files - With relpath, fullpath, size and mtime
+ */
+DirectorySync.prototype._listFiles = function(reldir) {
+  var self = this;
+
+  return fs.readdirSync(path.join(this.directory, reldir)).sort().reduce(
+    function(files, name) {
+      var relpath = reldir ? reldir + '/' + name : name;
+      var fullpath = path.join(self.directory, relpath);
+      var stats = fs.lstatSync(fullpath);
+
+      if (stats.isDirectory()) {
+        return files.concat(self._listFiles(relpath));
+      }
+
+      if (stats.isFile() && !self._isStateFile(fullpath) &&
+          self._isIncluded(relpath)) {
+        files.push({
+          relpath: relpath,
+          fullpath: fullpath,
+          size: stats.size,
+          mtime: stats.mtime.getTime()
+        });
+      }
+
+      return files;
+    },
+    []
+  );
+};
+
+/**
+ * Returns a boolean indicating if the file passes the include and exclude
+ * globs, which match either the relative path or the file name
+ * @private
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @returns {Boolean}
+ */
+DirectorySync.prototype._isIncluded = function(relpath) {
+  function _matches(pattern) {
+    return minimatch(relpath, pattern, { dot: true, matchBase: true });
+  }
+
+  if (this.include.length && !this.include.some(_matches)) {
+    return false;
+  }
+
+  return !this.exclude.some(_matches);
+};
+
+/**
+ * Returns a boolean indicating if the file is the state database, or the
+ * temporary file it is saved through
+ * @private
+ * @param {String} fullpath - Path to the file
+ * @returns {Boolean}
+ */
+DirectorySync.prototype._isStateFile = function(fullpath) {
+  var statePath = path.resolve(this.state.getPath());
+
+  return fullpath === statePath || fullpath === statePath + '.tmp';
+};
+
+/**
+ * Returns the relative paths in the state database whose local file is gone
+ * @private
+ * @returns {Array}
+ */
+DirectorySync.prototype._getStalePaths = function() {
+  var self = this;
+
+  return this.state.getPaths().filter(function(relpath) {
+    return !fs.existsSync(path.join(self.directory, relpath));
+  });
+};
+
+/**
+ * Uploads the file if it is new or its content changed since the last sync,
+ * skipping empty files as the bridge cannot store them
+ * @private
+ * @param {Object} file - Listed by {@link DirectorySync#_listFiles}
+ * @returns {Promise}
+ */
+DirectorySync.prototype._syncFile = function(file) {
+  var self = this;
+  var entry = this.state.get(file.relpath);
+
+  if (!file.size) {
+    this.summary.skipped.push(file.relpath);
+    return Promise.resolve();
+  }
+
+  if (entry && entry.size === file.size && entry.mtime === file.mtime) {
+    this.summary.unchanged++;
+    return Promise.resolve();
+  }
+
+  return DirectorySync._hashFile(file.fullpath).then(function(hash) {
+    file.hash = hash;
+
+    if (entry && entry.hash === hash) {
+      self.summary.unchanged++;
+
+      if (!self.dryRun) {
+        self.state.set(file.relpath, {
+          size: file.size,
+          mtime: file.mtime,
+          hash: hash,
+          id: entry.id
+        });
+      }
+
+      return;
+    }
+
+    if (self.dryRun) {
+      self._countUpload(file, entry);
+      return self.emit('upload', file.relpath, null);
+    }
+
+    return self._uploadFile(file, entry);
+  }).catch(function(err) {
+    self._failFile(file.relpath, err);
+  });
+};
+
+/**
+ * Stores the file in the bucket, then removes the version it replaces. The
+ * upload counts as synced even if the old version cannot be removed, which
+ * is reported in the summary instead.
+ * @private
+ * @param {Object} file - Listed and hashed by {@link DirectorySync#_syncFile}
+ * @param {Object|null} entry - State of the previously synced version
+ * @returns {Promise}
+ */
+DirectorySync.prototype._uploadFile = function(file, entry) {
+  var self = this;
+  var client = this._client;
+
+  return client.createToken(this.bucket, 'PUSH').then(function(token) {
+    var store = self.encrypt ?
+                client.storeEncryptedFileInBucket :
+                client.storeFileInBucket;
+    var transfer = store.call(client, self.bucket, token.token, file.fullpath, {
+      filename: file.relpath
+    });
+
+    self.emit('upload', file.relpath, transfer);
+
+    return transfer;
+  }).then(function(stored) {
+    self.state.setBucket(self.bucket);
+    self.state.set(file.relpath, {
+      size: file.size,
+      mtime: file.mtime,
+      hash: file.hash,
+      id: stored.id
+    });
+    self._countUpload(file, entry);
+
+    return entry ? self._destroyRemoteFile(entry.id).catch(function(err) {
+      self.summary.unremoved.push({
+        path: file.relpath,
+        id: entry.id,
+        error: err.message
+      });
+    }) : null;
+  });
+};
+
+/**
+ * Adds an uploaded file to the summary
+ * @private
+ * @param {Object} file - Listed and hashed by {@link DirectorySync#_syncFile}
+ * @param {Object|null} entry - State of the previously synced version
+ */
+DirectorySync.prototype._countUpload = function(file, entry) {
+  (entry ? this.summary.updated : this.summary.added).push(file.relpath);
+  this.summary.bytes += file.size;
+};
+
+/**
+ * Removes the bucket file whose local source is gone
+ * @private
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @returns {Promise}
+ */
+DirectorySync.prototype._removeFile = function(relpath) {
+  var self = this;
+  var entry = this.state.get(relpath);
+
+  this.emit('remove', relpath, entry.id);
+
+  if (this.dryRun) {
+    this.summary.removed.push(relpath);
+    return Promise.resolve();
+  }
+
+  return this._destroyRemoteFile(entry.id).then(function() {
+    self.state.remove(relpath);
+    self.summary.removed.push(relpath);
+  }).catch(function(err) {
+    self._failFile(relpath, err);
+  });
+};
+
+/**
+ * Removes a file from the bucket, treating a file that is already gone as
+ * removed
+ * @private
+ * @param {String} id - ID of the file in the bucket
+ * @returns {Promise}
+ */
+DirectorySync.prototype._destroyRemoteFile = function(id) {
+  return this._client.removeFileFromBucket(this.bucket, id).catch(
+    function(err) {
+      if (!(err instanceof errors.NotFoundError)) {
+        throw err;
+      }
+    }
+  );
+};
+
+/**
+ * Records a file that could not be synced
+ * @private
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @param {Error} err - The reason the file could not be synced
+ */
+DirectorySync.prototype._failFile = function(relpath, err) {
+  this.summary.failed.push({ path: relpath, error: err.message });
+  this.emit('failure', relpath, err);
+};
+
+/**
+ * Calls the given function with each item in turn, waiting for the promise
+ * it returns before moving on to the next
+ * @private
+ * @param {Array} items - Items to process
+ * @param {Function} iterator - Returns a promise for each item
+ * @returns {Promise}
+ */
+DirectorySync.prototype._series = function(items, iterator) {
+  return items.reduce(function(previous, item) {
+    return previous.then(function() {
+      return iterator(item);
+    });
+  }, Promise.resolve());
+};
+
+/**
+ * Hashes the content of a file
+ * @private
+ * @static
+ * @param {String} fullpath - Path to the file
+ * @returns {Promise} hash - SHA-256 hash (hex)
+ */
+DirectorySync._hashFile = function(fullpath) {
+  return new Promise(function(resolve, reject) {
+    var hasher = crypto.createHash('sha256');
+
+    fs.createReadStream(fullpath).on('error', reject).on('data', function(d) {
+      hasher.update(d);
+    }).on('end', function() {
+      resolve(hasher.digest('hex'));
+    });
+  });
+};
+
+module.exports = DirectorySync;
@@ -0,0 +1,218 @@
+/**
+ * @module bridge-client/errors
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+
+/**
+ * Raised when a request to the bridge fails, base of the more specific
+ * bridge errors below
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details
+ * @param {Number} details.statusCode - HTTP status of the response, if any
+ * @param {String} details.method - HTTP verb of the request
+ * @param {String} details.path - Endpoint path of the request
+ * @param {Object|String} details.body - Response body as received
+ */
+function BridgeError(message, details) {
+  if (!(this instanceof BridgeError)) {
+    return new BridgeError(message, details);
+  }
+
+  details = details || {};
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = 'BridgeError';
+  this.message = message;
+  this.statusCode = details.statusCode;
+  this.method = details.method;
+  this.path = details.path;
+  this.body = details.body;
+}
+
+inherits(BridgeError, Error);
+
+/**
+ * Raised when the bridge rejects the credentials or signature (401, 403)
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ */
+function AuthenticationError(message, details) {
+  if (!(this instanceof AuthenticationError)) {
+    return new AuthenticationError(message, details);
+  }
+
+  BridgeError.call(this, message, details);
+  this.name = 'AuthenticationError';
+}
+
+inherits(AuthenticationError, BridgeError);
+
+/**
+ * Raised when the requested bucket, file, frame or other entity does not
+ * exist (404)
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ */
+function NotFoundError(message, details) {
+  if (!(this instanceof NotFoundError)) {
+    return new NotFoundError(message, details);
+  }
+
+  BridgeError.call(this, message, details);
+  this.name = 'NotFoundError';
+}
+
+inherits(NotFoundError, BridgeError);
+
+/**
+ * Raised when the bridge asks the client to slow down (429)
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ * @param {Number|null} details.retryAfter - Milliseconds the bridge asked
+ * to wait before the next request, if it said
+ */
+function RateLimitError(message, details) {
+  if (!(this instanceof RateLimitError)) {
+    return new RateLimitError(message, details);
+  }
+
+  BridgeError.call(this, message, details);
+  this.name = 'RateLimitError';
+  this.retryAfter = details ? details.retryAfter : null;
+}
+
+inherits(RateLimitError, BridgeError);
+
+/**
+ * Raised when the bridge rejects the request as invalid (any other 4xx)
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ */
+function ValidationError(message, details) {
+  if (!(this instanceof ValidationError)) {
+    return new ValidationError(message, details);
+  }
+
+  BridgeError.call(this, message, details);
+  this.name = 'ValidationError';
+}
+
+inherits(ValidationError, BridgeError);
+
+/**
+ * Raised when the bridge fails to handle the request (5xx)
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ */
+function ServerError(message, details) {
+  if (!(this instanceof ServerError)) {
+    return new ServerError(message, details);
+  }
+
+  BridgeError.call(this, message, details);
+  this.name = 'ServerError';
+}
+
+inherits(ServerError, BridgeError);
+
+/**
+ * Raised when no response is received from the bridge at all, such as when
+ * the connection is refused, reset or times out
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details - See {@link module:bridge-client/errors~BridgeError}
+ * @param {String} details.code - System error code, such as ECONNREFUSED
+ * @param {Error} details.cause - The underlying error
+ */
+function NetworkError(message, details) {
+  if (!(this instanceof NetworkError)) {
+    return new NetworkError(message, details);
+  }
+
+  details = details || {};
+
+  BridgeError.call(this, message, details);
+  this.name = 'NetworkError';
+  this.code = details.code;
+  this.cause = details.cause;
+}
+
+inherits(NetworkError, BridgeError);
+
+/**
+ * Raised when a shard cannot be transferred to or from any farmer
+ * @constructor
+ * @param {String} message - Description of the failure
+ * @param {Object} details
+ * @param {Number} details.shard - Index of the shard in the file
+ * @param {Object} details.farmer - Contact of the last farmer tried, if any
+ * @param {Number} details.attempts - Number of farmers tried
+ * @param {Error} details.cause - The error from the last attempt
+ */
+function TransferError(message, details) {
+  if (!(this instanceof TransferError)) {
+    return new TransferError(message, details);
+  }
+
+  details = details || {};
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = 'TransferError';
+  this.message = message;
+  this.shard = details.shard;
+  this.farmer = details.farmer;
+  this.attempts = details.attempts;
+  this.cause = details.cause;
+}
+
+inherits(TransferError, Error);
+
+/**
+ * Raised when shard data received from a farmer does not match the size or
+ * hash recorded in its pointer
+ * @constructor
+ * @param {String} message - Description of the mismatch
+ * @param {Object} details
+ * @param {Number} details.shard - Index of the shard in the file
+ * @param {Object} details.farmer - Contact of the farmer that sent the data
+ * @param {String} details.expected - Expected hash (or size)
+ * @param {String} details.actual - Received hash (or size)
+ */
+function IntegrityError(message, details) {
+  if (!(this instanceof IntegrityError)) {
+    return new IntegrityError(message, details);
+  }
+
+  details = details || {};
+
+  TransferError.call(this, message, details);
+
+  this.name = 'IntegrityError';
+  this.expected = details.expected;
+  this.actual = details.actual;
+}
+
+inherits(IntegrityError, TransferError);
+
+module.exports.BridgeError = BridgeError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.ValidationError = ValidationError;
+module.exports.ServerError = ServerError;
+module.exports.NetworkError = NetworkError;
+module.exports.TransferError = TransferError;
+module.exports.IntegrityError = IntegrityError;
@@ -0,0 +1,50 @@
+/**
+ * @module bridge-client/keyderivation
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var storj = require('storj');
+
+/**
+ * Returns a new random master seed
+ * @returns {String} seed - Hex encoded seed
+ */
+module.exports.generateSeed = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Derives the encryption key for a file from the master seed, the bucket and
+ * the staging frame the file was uploaded with, so any device holding the
+ * seed can decrypt the file without a copy of its key
+ * @param {String|Buffer} seed - Hex encoded master seed
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} frame - Unique staging frame ID of the upload
+ * @returns {storj.DataCipherKeyIv}
+ */
+module.exports.deriveFileKey = function(seed, bucket, frame) {
+  var secret = Buffer.isBuffer(seed) ? seed : Buffer.from(seed, 'hex');
+  var identity = [bucket, frame].join('\n');
+
+  return new storj.DataCipherKeyIv(
+    crypto.createHmac('sha512', secret).update('pass\n' + identity).digest(),
+    crypto.createHmac('sha256', secret).update('salt\n' + identity).digest()
+  );
+};
+
+/**
+ * Derives the key that encrypts the names and metadata of the files in a
+ * bucket from the master seed
+ * @param {String|Buffer} seed - Hex encoded master seed
+ * @param {String} bucket - Unique bucket ID
+ * @returns {Buffer} key - 256 bit key
+ */
+module.exports.deriveMetadataKey = function(seed, bucket) {
+  var secret = Buffer.isBuffer(seed) ? seed : Buffer.from(seed, 'hex');
+
+  return crypto.createHmac('sha256', secret)
+    .update('metadata\n' + bucket)
+    .digest();
+};
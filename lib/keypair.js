@@ -3,6 +3,8 @@
 var assert = require('assert');
 var crypto = require('crypto');
 var elliptic = require('elliptic');
+var bip39 = require('bip39');
+var passphraseCipher = require('./passphrasecipher');
 var ecdsa = new elliptic.ec(elliptic.curves.secp256k1);
 
 /**
@@ -30,19 +32,89 @@ KeyPair.prototype.getPrivateKey = function() {
   return this._keypair.getPrivate().toString('hex');
 };
 
+/**
+ * Returns the private key as a BIP39 mnemonic phrase of 24 words, which
+ * can be written down and restored with {@link KeyPair.fromMnemonic}
+ * @returns {String}
+ */
+KeyPair.prototype.toMnemonic = function() {
+  var privkey = this.getPrivateKey();
+
+  while (privkey.length < 64) {
+    privkey = '0' + privkey;
+  }
+
+  return bip39.entropyToMnemonic(privkey);
+};
+
+/**
+ * Restores a key pair from a mnemonic phrase
+ * @param {String} mnemonic - Phrase returned by {@link KeyPair#toMnemonic}
+ * @returns {KeyPair}
+ */
+KeyPair.fromMnemonic = function(mnemonic) {
+  var words = String(mnemonic).trim().toLowerCase().split(/\s+/).join(' ');
+
+  assert(bip39.validateMnemonic(words), 'Invalid mnemonic phrase');
+
+  return new KeyPair(bip39.mnemonicToEntropy(words));
+};
+
+/**
+ * Returns the private key encrypted with a key derived from the passphrase,
+ * for storing on disk
+ * @param {String} passphrase - Passphrase to protect the key with
+ * @returns {String}
+ */
+KeyPair.prototype.toEncryptedJSON = function(passphrase) {
+  var sealed = passphraseCipher.seal(this.getPrivateKey(), passphrase);
+
+  sealed.version = 1;
+
+  return JSON.stringify(sealed);
+};
+
+/**
+ * Restores a key pair from the result of {@link KeyPair#toEncryptedJSON}
+ * @param {String} json - The encrypted private key
+ * @param {String} passphrase - Passphrase the key was protected with
+ * @returns {KeyPair}
+ */
+KeyPair.fromEncryptedJSON = function(json, passphrase) {
+  var sealed = JSON.parse(json);
+  var privkey;
+
+  assert(sealed.version === 1, 'Unsupported private key format');
+
+  privkey = passphraseCipher.open(sealed, passphrase);
+
+  assert(privkey, 'Could not unlock private key, bad password?');
+
+  return new KeyPair(privkey.toString('utf8'));
+};
+
+/**
+ * Returns a boolean indicating if the stored private key is encrypted
+ * @param {String} contents - Contents of a private key file
+ * @returns {Boolean}
+ */
+KeyPair.isEncryptedJSON = function(contents) {
+  return String(contents).trim().charAt(0) === '{';
+};
+
 /**
  * Returns the public key
  * @returns {String}
  */
 KeyPair.prototype.getPublicKey = function() {
   var pubkey, pubkeyobj = this._keypair.getPublic();
-  var xbuf = new Buffer(pubkeyobj.x.toString('hex', 64), 'hex');
-  var ybuf = new Buffer(pubkeyobj.y.toString('hex', 64), 'hex');
+  var xbuf = Buffer.from(pubkeyobj.x.toString('hex', 64), 'hex');
+  var ybuf = Buffer.from(pubkeyobj.y.toString('hex', 64), 'hex');
 
   if (ybuf[ybuf.length - 1] % 2) {
-    pubkey = Buffer.concat([new Buffer([3]), xbuf]);
+    pubkey = Buffer.concat([Buffer.from([3]), xbuf]);
   } else {
-    pubkey = Buffer.concat([new Buffer([2]), xbuf]);
+    pubkey = Buffer.concat([Buffer.from([2]), xbuf]);
   }
 
   return pubkey.toString('hex');
@@ -55,7 +127,7 @@ KeyPair.prototype.getPublicKey = function() {
 KeyPair.prototype.getNodeID = function() {
   function getNodeIdFromPublicKey(pubkey) {
     if (!Buffer.isBuffer(pubkey)) {
-      pubkey = new Buffer(pubkey, 'hex');
+      pubkey = Buffer.from(pubkey, 'hex');
     }
 
     var pubhash = crypto.createHash('sha256').update(pubkey).digest();
@@ -74,7 +146,7 @@ KeyPair.prototype.getNodeID = function() {
  */
 KeyPair.prototype.sign = function(data) {
   if (!Buffer.isBuffer(data)) {
-    data = new Buffer(data, 'utf8');
+    data = Buffer.from(data, 'utf8');
   }
 
   return ecdsa.sign(
@@ -92,11 +164,11 @@ KeyPair.prototype.sign = function(data) {
  */
 KeyPair.prototype.verify = function(data, pubkey, signature) {
   if (!Buffer.isBuffer(data)) {
-   data = new Buffer(data, 'utf8');
+   data = Buffer.from(data, 'utf8');
   }
 
   if (!Buffer.isBuffer(signature)) {
-   signature = new Buffer(signature, 'hex');
+   signature = Buffer.from(signature, 'hex');
   }
 
   if (!Buffer.isBuffer(pubkey)) {
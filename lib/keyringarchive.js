@@ -0,0 +1,143 @@
+/**
+ * @module bridge-client/keyringarchive
+ */
+
+'use strict';
+
+var storj = require('storj');
+var passphraseCipher = require('./passphrasecipher');
+
+var ARCHIVE_VERSION = 1;
+
+/**
+ * Returns the file IDs stored in a keyring
+ * @private
+ * @param {storj.KeyRing} keyring - The keyring to list
+ * @returns {Array}
+ */
+function listKeys(keyring) {
+  // NB: storj.KeyRing has no public way to enumerate its entries
+  return Object.keys(keyring._keys);
+}
+
+/**
+ * Returns a short fingerprint identifying a key
+ * @private
+ * @param {Object} key - Key as returned by DataCipherKeyIv#toObject
+ * @returns {String}
+ */
+function fingerprint(key) {
+  return storj.utils.sha256(key.pass + key.salt).substr(0, 8);
+}
+
+/**
+ * Encrypts every key in the keyring into a portable archive
+ * @param {storj.KeyRing} keyring - The keyring to export
+ * @param {String} passphrase - Passphrase to protect the archive with
+ * @returns {String} archive - JSON archive safe to store anywhere
+ */
+module.exports.createArchive = function(keyring, passphrase) {
+  var keys = {};
+  var sealed;
+
+  listKeys(keyring).forEach(function(id) {
+    keys[id] = keyring.get(id).toObject();
+  });
+
+  sealed = passphraseCipher.seal(JSON.stringify(keys), passphrase);
+  sealed.version = ARCHIVE_VERSION;
+
+  return JSON.stringify(sealed, null, 2);
+};
+
+/**
+ * Decrypts the keys stored in an archive
+ * @param {String} archive - Result of createArchive
+ * @param {String} passphrase - Passphrase the archive was protected with
+ * @returns {Object} keys - Map of file IDs to keys as plain objects
+ */
+module.exports.openArchive = function(archive, passphrase) {
+  var parsed, keys;
+
+  try {
+    parsed = JSON.parse(archive);
+  } catch (err) {
+    throw new Error('Keyring archive is not valid JSON');
+  }
+
+  if (parsed.version !== ARCHIVE_VERSION) {
+    throw new Error('Unsupported keyring archive format');
+  }
+
+  keys = passphraseCipher.open(parsed, passphrase);
+
+  if (!keys) {
+    throw new Error('Could not open keyring archive, bad passphrase?');
+  }
+
+  return JSON.parse(keys.toString('utf8'));
+};
+
+/**
+ * Adds keys from an archive to a keyring. Where both hold a different key
+ * for the same file ID, neither key is discarded: the preferred key is kept
+ * under the file ID and the other is set aside under
+ * `<id>.conflict-<fingerprint>` so it can be recovered later.
+ * @param {storj.KeyRing} keyring - The keyring to merge into
+ * @param {Object} keys - Result of openArchive
+ * @param {Object} options
+ * @param {Boolean} options.preferIncoming - Keep the archived key under the
+ * file ID instead of the existing one
+ * @returns {Object} result - File IDs that were added or unchanged, and the
+ * conflicts with the ID each displaced key was moved to
+ */
+module.exports.mergeKeys = function(keyring, keys, options) {
+  var result = { added: [], unchanged: [], conflicts: [] };
+  var existing = listKeys(keyring);
+
+  options = options || {};
+
+  Object.keys(keys).forEach(function(id) {
+    var incoming = keys[id];
+    var current = existing.indexOf(id) !== -1 ?
+                  keyring.get(id).toObject() :
+                  null;
+    var displaced, movedTo;
+
+    if (!current) {
+      keyring.set(id, storj.DataCipherKeyIv.fromObject(incoming));
+      return result.added.push(id);
+    }
+
+    if (current.pass === incoming.pass && current.salt === incoming.salt) {
+      return result.unchanged.push(id);
+    }
+
+    displaced = options.preferIncoming ? current : incoming;
+    movedTo = id + '.conflict-' + fingerprint(displaced);
+
+    keyring.set(movedTo, storj.DataCipherKeyIv.fromObject(displaced));
+
+    if (options.preferIncoming) {
+      keyring.set(id, storj.DataCipherKeyIv.fromObject(incoming));
+    }
+
+    result.conflicts.push({ id: id, movedTo: movedTo });
+  });
+
+  return result;
+};
+
+/**
+ * Restores keys from an archive into an empty keyring
+ * @param {storj.KeyRing} keyring - The keyring to restore into
+ * @param {Object} keys - Result of openArchive
+ * @returns {Object} result - See mergeKeys
+ */
+module.exports.importKeys = function(keyring, keys) {
+  if (listKeys(keyring).length) {
+    throw new Error('Keyring is not empty, merge the archive instead');
+  }
+
+  return module.exports.mergeKeys(keyring, keys);
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+var storj = require('storj');
+
+/**
+ * Key store that keeps file encryption keys in memory for the lifetime of
+ * the process. Any object with the same get and set methods can be used as
+ * a key store, including storj.KeyRing; either method may also return a
+ * promise.
+ * @constructor
+ */
+function MemoryKeyStore() {
+  if (!(this instanceof MemoryKeyStore)) {
+    return new MemoryKeyStore();
+  }
+
+  this._keys = {};
+}
+
+/**
+ * Returns the key stored for the given file
+ * @param {String} id - Unique file ID
+ * @returns {storj.DataCipherKeyIv|null}
+ */
+MemoryKeyStore.prototype.get = function(id) {
+  if (!this._keys[id]) {
+    return null;
+  }
+
+  return storj.DataCipherKeyIv.fromObject(this._keys[id]);
+};
+
+/**
+ * Stores the key for the given file
+ * @param {String} id - Unique file ID
+ * @param {storj.DataCipherKeyIv} cipherKeyIv - The file's encryption key
+ * @returns {storj.DataCipherKeyIv}
+ */
+MemoryKeyStore.prototype.set = function(id, cipherKeyIv) {
+  this._keys[id] = cipherKeyIv.toObject();
+
+  return cipherKeyIv;
+};
+
+module.exports = MemoryKeyStore;
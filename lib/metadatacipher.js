@@ -0,0 +1,94 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var CIPHER = 'aes-256-gcm';
+var PREFIX = 'storj-meta:';
+
+/**
+ * Encodes a buffer as URL safe base64 without padding
+ * @private
+ * @param {Buffer} buffer - The data to encode
+ * @returns {String}
+ */
+function toBase64Url(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL safe base64
+ * @private
+ * @param {String} encoded - The data to decode
+ * @returns {Buffer}
+ */
+function fromBase64Url(encoded) {
+  return Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Returns a boolean indicating if the file name was produced by encrypt
+ * @private
+ * @param {String} filename - File name as stored by the bridge
+ * @returns {Boolean}
+ */
+module.exports.isEncrypted = function(filename) {
+  return typeof filename === 'string' && filename.indexOf(PREFIX) === 0;
+};
+
+/**
+ * Encrypts the name, type and user metadata of a file into a string to
+ * store as the file name
+ * @private
+ * @param {Buffer} key - 256 bit metadata key for the bucket
+ * @param {Object} info
+ * @param {String} info.filename - Name of the file
+ * @param {String} info.mimetype - Type of the file
+ * @param {Object} info.metadata - JSON serializable user metadata
+ * @returns {String}
+ */
+module.exports.encrypt = function(key, info) {
+  var iv = crypto.randomBytes(12);
+  var cipher = crypto.createCipheriv(CIPHER, key, iv);
+  var ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify({
+      filename: info.filename,
+      mimetype: info.mimetype,
+      metadata: info.metadata || {}
+    })),
+    cipher.final()
+  ]);
+
+  return PREFIX + toBase64Url(Buffer.concat([
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ]));
+};
+
+/**
+ * Decrypts a file name produced by encrypt
+ * @private
+ * @param {Buffer} key - 256 bit metadata key for the bucket
+ * @param {String} filename - File name as stored by the bridge
+ * @returns {Object|null} info - With filename, mimetype and metadata, or
+ * null if the name cannot be decrypted with the key
+ */
+module.exports.decrypt = function(key, filename) {
+  var sealed = fromBase64Url(filename.substr(PREFIX.length));
+  var decipher;
+
+  try {
+    decipher = crypto.createDecipheriv(CIPHER, key, sealed.slice(0, 12));
+    decipher.setAuthTag(sealed.slice(12, 28));
+
+    return JSON.parse(Buffer.concat([
+      decipher.update(sealed.slice(28)),
+      decipher.final()
+    ]).toString());
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,790 @@
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var url = require('url');
+var storj = require('storj');
+var MockFarmer = require('./mockfarmer');
+var signing = require('./signing');
+
+var CONTACTS_PER_PAGE = 10;
+var TOKEN_TTL = 5 * 60 * 1000;
+
+/**
+ * Routes served by the mock bridge as [method, path, handler, auth], where
+ * auth is one of none, user (signature or basic auth) or token (x-token)
+ * @private
+ */
+var ROUTES = [
+  ['GET', /^\/$/, '_getInfo', 'none'],
+  ['GET', /^\/contacts$/, '_getContacts', 'none'],
+  ['GET', /^\/contacts\/([^/]+)$/, '_getContact', 'none'],
+  ['POST', /^\/users$/, '_createUser', 'none'],
+  ['GET', /^\/keys$/, '_getKeys', 'user'],
+  ['POST', /^\/keys$/, '_addKey', 'user'],
+  ['DELETE', /^\/keys\/([^/]+)$/, '_destroyKey', 'user'],
+  ['GET', /^\/buckets$/, '_getBuckets', 'user'],
+  ['POST', /^\/buckets$/, '_createBucket', 'user'],
+  ['GET', /^\/buckets\/([^/]+)$/, '_getBucket', 'user'],
+  ['DELETE', /^\/buckets\/([^/]+)$/, '_destroyBucket', 'user'],
+  ['PATCH', /^\/buckets\/([^/]+)$/, '_updateBucket', 'user'],
+  ['POST', /^\/buckets\/([^/]+)\/tokens$/, '_createToken', 'user'],
+  ['GET', /^\/buckets\/([^/]+)\/files$/, '_getFiles', 'user'],
+  ['POST', /^\/buckets\/([^/]+)\/files$/, '_createFile', 'user'],
+  ['GET', /^\/buckets\/([^/]+)\/files\/([^/]+)$/, '_getPointers', 'token'],
+  ['DELETE', /^\/buckets\/([^/]+)\/files\/([^/]+)$/, '_destroyFile', 'user'],
+  ['GET', /^\/frames$/, '_getFrames', 'user'],
+  ['POST', /^\/frames$/, '_createFrame', 'user'],
+  ['GET', /^\/frames\/([^/]+)$/, '_getFrame', 'user'],
+  ['PUT', /^\/frames\/([^/]+)$/, '_addShardToFrame', 'user'],
+  ['DELETE', /^\/frames\/([^/]+)$/, '_destroyFrame', 'user']
+];
+
+/**
+ * In-process stand-in for Storj Bridge that keeps its users, buckets,
+ * frames and files in memory and stores shards with {@link MockFarmer}s,
+ * so the client can be exercised without a network. Requests must be
+ * authenticated like they would be by the real bridge: signed with a
+ * registered key pair or with basic auth.
+ * @constructor
+ * @param {Object} options
+ * @param {Array} options.farmers - {@link MockFarmer}s to store shards with,
+ * three by default
+ */
+function MockBridge(options) {
+  if (!(this instanceof MockBridge)) {
+    return new MockBridge(options);
+  }
+
+  options = options || {};
+
+  this.farmers = options.farmers || [
+    new MockFarmer({ port: 4000 }),
+    new MockFarmer({ port: 4001 }),
+    new MockFarmer({ port: 4002 })
+  ];
+  this.url = null;
+  this.users = {};
+  this.buckets = {};
+  this.files = {};
+  this.frames = {};
+  this.tokens = {};
+  this._nextFarmer = 0;
+  this._server = http.createServer(this._handleRequest.bind(this));
+  this.createDataChannel = this.createDataChannel.bind(this);
+}
+
+/**
+ * Starts listening on a random local port, setting the url to give clients
+ * @param {Function} callback - Called with the url once listening
+ */
+MockBridge.prototype.listen = function(callback) {
+  var self = this;
+
+  this._server.listen(0, '127.0.0.1', function() {
+    self.url = 'http://127.0.0.1:' + self._server.address().port;
+    callback(self.url);
+  });
+};
+
+/**
+ * Stops listening
+ * @param {Function} callback - Called once the server is closed
+ */
+MockBridge.prototype.close = function(callback) {
+  this._server.close(callback);
+};
+
+/**
+ * Opens an in-memory data channel to the farmer with the contact's node ID,
+ * pass as the createDataChannel option of {@link Client}
+ * @param {storj.Contact} contact - Contact of the farmer
+ * @returns {MockDataChannel}
+ */
+MockBridge.prototype.createDataChannel = function(contact) {
+  var farmer = this._getFarmer(contact.nodeID);
+
+  if (!farmer) {
+    throw new Error('No mock farmer has the node ID ' + contact.nodeID);
+  }
+
+  return farmer.createDataChannel();
+};
+
+/**
+ * Registers an activated user account
+ * @param {String} email - Email address of the user
+ * @param {String} password - Password of the user (hashed automatically)
+ * @returns {Object} user
+ */
+MockBridge.prototype.addUser = function(email, password) {
+  return this._addUser(email, storj.utils.sha256(password));
+};
+
+/**
+ * Registers an activated user account with an already hashed password
+ * @private
+ * @param {String} email - Email address of the user
+ * @param {String} password - SHA-256 hash of the password
+ * @returns {Object} user
+ */
+MockBridge.prototype._addUser = function(email, password) {
+  this.users[email] = {
+    email: email,
+    password: password,
+    pubkeys: [],
+    activated: true,
+    created: new Date().toISOString()
+  };
+
+  return this.users[email];
+};
+
+/**
+ * Registers a public key for an existing user
+ * @param {String} email - Email address of the user
+ * @param {String} pubkey - Hex encoded ECDSA (secp256k1) public key
+ */
+MockBridge.prototype.addPublicKey = function(email, pubkey) {
+  var user = this.users[email];
+
+  if (!user) {
+    throw new Error('No user has the email ' + email);
+  }
+
+  if (user.pubkeys.indexOf(pubkey) === -1) {
+    user.pubkeys.push(pubkey);
+  }
+};
+
+/**
+ * Reads, authenticates and dispatches a request to its route
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {http.ServerResponse} res - The response to write
+ */
+MockBridge.prototype._handleRequest = function(req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var chunks = [];
+  var route = null;
+  var match = null;
+
+  for (var i = 0; i < ROUTES.length && !match; i++) {
+    route = ROUTES[i];
+    match = route[0] === req.method ? route[1].exec(parsed.pathname) : null;
+  }
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    if (!match) {
+      return MockBridge._respond(res, 404, { error: 'Not found' });
+    }
+
+    req.rawBody = Buffer.concat(chunks).toString();
+    req.query = parsed.query;
+
+    try {
+      req.body = req.rawBody ? JSON.parse(req.rawBody) : {};
+    } catch (err) {
+      return MockBridge._respond(res, 400, { error: 'Invalid JSON body' });
+    }
+
+    self._authenticate(req, route[3], function(err, user) {
+      var result;
+
+      if (err) {
+        return MockBridge._respond(res, err.statusCode, { error: err.message });
+      }
+
+      try {
+        result = self[route[2]](req, match.slice(1), user);
+      } catch (err) {
+        return MockBridge._respond(res, err.statusCode || 500, {
+          error: err.message
+        });
+      }
+
+      MockBridge._respond(
+        res,
+        typeof result === 'undefined' ? 204 : 200,
+        result
+      );
+    });
+  });
+};
+
+/**
+ * Authenticates a request according to its route
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {String} auth - One of none, user or token
+ * @param {Function} callback - Called with error or the user (if any)
+ */
+MockBridge.prototype._authenticate = function(req, auth, callback) {
+  var self = this;
+  var credentials = MockBridge._parseBasicAuth(req.headers.authorization);
+  var user;
+
+  if (auth !== 'user') {
+    return callback(null, null);
+  }
+
+  if (req.headers['x-signature'] || req.headers['x-pubkey']) {
+    return signing.verifyRequest(req, function(err, pubkey) {
+      if (err) {
+        return callback(err);
+      }
+
+      user = self._getUserByPublicKey(pubkey);
+
+      if (!user) {
+        return callback(MockBridge._error(401, 'Public key not registered'));
+      }
+
+      callback(null, user);
+    });
+  }
+
+  user = credentials ? this.users[credentials.email] : null;
+
+  if (!user || user.password !== credentials.password) {
+    return callback(MockBridge._error(401, 'Invalid email or password'));
+  }
+
+  callback(null, user);
+};
+
+/**
+ * Returns the user the public key is registered to
+ * @private
+ * @param {String} pubkey - Hex encoded ECDSA (secp256k1) public key
+ * @returns {Object|null}
+ */
+MockBridge.prototype._getUserByPublicKey = function(pubkey) {
+  for (var email in this.users) {
+    if (this.users[email].pubkeys.indexOf(pubkey) !== -1) {
+      return this.users[email];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Returns the farmer with the given node ID
+ * @private
+ * @param {String} nodeID - Node ID of the farmer
+ * @returns {MockFarmer|null}
+ */
+MockBridge.prototype._getFarmer = function(nodeID) {
+  return this.farmers.filter(function(farmer) {
+    return farmer.nodeID === nodeID;
+  })[0] || null;
+};
+
+/**
+ * Returns the user's bucket with the given ID
+ * @private
+ * @param {Object} user - The authenticated user
+ * @param {String} id - Unique bucket ID
+ * @returns {Object}
+ */
+MockBridge.prototype._findBucket = function(user, id) {
+  var bucket = this.buckets[id];
+
+  if (!bucket || bucket.user !== user.email) {
+    throw MockBridge._error(404, 'Bucket not found');
+  }
+
+  return bucket;
+};
+
+/**
+ * Returns the user's frame with the given ID
+ * @private
+ * @param {Object} user - The authenticated user
+ * @param {String} id - Unique frame ID
+ * @returns {Object}
+ */
+MockBridge.prototype._findFrame = function(user, id) {
+  var frame = this.frames[id];
+
+  if (!frame || frame.user !== user.email) {
+    throw MockBridge._error(404, 'Frame not found');
+  }
+
+  return frame;
+};
+
+/**
+ * Returns the file with the given ID in the bucket
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} id - Unique file ID
+ * @returns {Object}
+ */
+MockBridge.prototype._findFile = function(bucket, id) {
+  var file = this.files[id];
+
+  if (!file || file.bucket !== bucket) {
+    throw MockBridge._error(404, 'File not found');
+  }
+
+  return file;
+};
+
+/**
+ * Serves GET /
+ * @private
+ */
+MockBridge.prototype._getInfo = function() {
+  return {
+    info: { title: 'Storj Bridge (mock)', version: '0.0.0' },
+    host: url.parse(this.url).host
+  };
+};
+
+/**
+ * Serves GET /contacts
+ * @private
+ */
+MockBridge.prototype._getContacts = function(req) {
+  var page = Number(req.query.page) || 1;
+  var connected = req.query.connected;
+  var farmers = this.farmers.filter(function(farmer) {
+    return typeof connected === 'undefined' ||
+           String(!farmer.offline) === connected;
+  });
+
+  return farmers.slice(
+    (page - 1) * CONTACTS_PER_PAGE,
+    page * CONTACTS_PER_PAGE
+  ).map(function(farmer) {
+    return farmer.getContact();
+  });
+};
+
+/**
+ * Serves GET /contacts/:nodeID
+ * @private
+ */
+MockBridge.prototype._getContact = function(req, params) {
+  var farmer = this._getFarmer(params[0]);
+
+  if (!farmer) {
+    throw MockBridge._error(404, 'Contact not found');
+  }
+
+  return farmer.getContact();
+};
+
+/**
+ * Serves POST /users, activating the account right away
+ * @private
+ */
+MockBridge.prototype._createUser = function(req) {
+  var user;
+
+  if (!req.body.email || !req.body.password) {
+    throw MockBridge._error(400, 'Email and password are required');
+  }
+
+  if (this.users[req.body.email]) {
+    throw MockBridge._error(400, 'Email is already registered');
+  }
+
+  user = this._addUser(req.body.email, req.body.password);
+
+  if (req.body.pubkey) {
+    this.addPublicKey(user.email, req.body.pubkey);
+  }
+
+  return { email: user.email, created: user.created, activated: true };
+};
+
+/**
+ * Serves GET /keys
+ * @private
+ */
+MockBridge.prototype._getKeys = function(req, params, user) {
+  return user.pubkeys.map(function(pubkey) {
+    return { key: pubkey, user: user.email };
+  });
+};
+
+/**
+ * Serves POST /keys
+ * @private
+ */
+MockBridge.prototype._addKey = function(req, params, user) {
+  if (!req.body.key) {
+    throw MockBridge._error(400, 'A public key is required');
+  }
+
+  this.addPublicKey(user.email, req.body.key);
+
+  return { key: req.body.key, user: user.email };
+};
+
+/**
+ * Serves DELETE /keys/:pubkey
+ * @private
+ */
+MockBridge.prototype._destroyKey = function(req, params, user) {
+  var index = user.pubkeys.indexOf(params[0]);
+
+  if (index === -1) {
+    throw MockBridge._error(404, 'Public key not found');
+  }
+
+  user.pubkeys.splice(index, 1);
+};
+
+/**
+ * Serves GET /buckets
+ * @private
+ */
+MockBridge.prototype._getBuckets = function(req, params, user) {
+  var buckets = this.buckets;
+
+  return Object.keys(buckets).map(function(id) {
+    return buckets[id];
+  }).filter(function(bucket) {
+    return bucket.user === user.email;
+  });
+};
+
+/**
+ * Serves POST /buckets
+ * @private
+ */
+MockBridge.prototype._createBucket = function(req, params, user) {
+  var bucket = {
+    id: MockBridge._createId(),
+    user: user.email,
+    name: req.body.name || 'New Bucket',
+    status: 'Active',
+    storage: req.body.storage || 0,
+    transfer: req.body.transfer || 0,
+    pubkeys: req.body.pubkeys || [],
+    created: new Date().toISOString()
+  };
+
+  this.buckets[bucket.id] = bucket;
+
+  return bucket;
+};
+
+/**
+ * Serves GET /buckets/:id
+ * @private
+ */
+MockBridge.prototype._getBucket = function(req, params, user) {
+  return this._findBucket(user, params[0]);
+};
+
+/**
+ * Serves DELETE /buckets/:id, along with the files in it
+ * @private
+ */
+MockBridge.prototype._destroyBucket = function(req, params, user) {
+  var files = this.files;
+  var bucket = this._findBucket(user, params[0]);
+
+  Object.keys(files).forEach(function(id) {
+    if (files[id].bucket === bucket.id) {
+      delete files[id];
+    }
+  });
+
+  delete this.buckets[bucket.id];
+};
+
+/**
+ * Serves PATCH /buckets/:id
+ * @private
+ */
+MockBridge.prototype._updateBucket = function(req, params, user) {
+  var bucket = this._findBucket(user, params[0]);
+
+  ['name', 'storage', 'transfer', 'pubkeys'].forEach(function(prop) {
+    if (typeof req.body[prop] !== 'undefined') {
+      bucket[prop] = req.body[prop];
+    }
+  });
+
+  return bucket;
+};
+
+/**
+ * Serves POST /buckets/:id/tokens
+ * @private
+ */
+MockBridge.prototype._createToken = function(req, params, user) {
+  var bucket = this._findBucket(user, params[0]);
+  var token = {
+    token: crypto.randomBytes(32).toString('hex'),
+    bucket: bucket.id,
+    operation: req.body.operation,
+    expires: new Date(Date.now() + TOKEN_TTL).toISOString()
+  };
+
+  if (['PUSH', 'PULL'].indexOf(token.operation) === -1) {
+    throw MockBridge._error(400, 'Operation must be PUSH or PULL');
+  }
+
+  this.tokens[token.token] = token;
+
+  return token;
+};
+
+/**
+ * Serves GET /buckets/:id/files
+ * @private
+ */
+MockBridge.prototype._getFiles = function(req, params, user) {
+  var files = this.files;
+  var bucket = this._findBucket(user, params[0]);
+
+  return Object.keys(files).map(function(id) {
+    return files[id];
+  }).filter(function(file) {
+    return file.bucket === bucket.id;
+  });
+};
+
+/**
+ * Serves POST /buckets/:id/files, creating a file from a staging frame
+ * @private
+ */
+MockBridge.prototype._createFile = function(req, params, user) {
+  var bucket = this._findBucket(user, params[0]);
+  var frame = this._findFrame(user, req.body.frame);
+  var file = {
+    id: MockBridge._createId(),
+    bucket: bucket.id,
+    frame: frame.id,
+    filename: req.body.filename,
+    mimetype: req.body.mimetype,
+    size: frame.shards.reduce(function(size, shard) {
+      return size + shard.size;
+    }, 0)
+  };
+
+  frame.locked = true;
+  this.files[file.id] = file;
+
+  return file;
+};
+
+/**
+ * Serves GET /buckets/:id/files/:file, authorizing the farmers storing the
+ * requested shards to serve them, with a pointer for each farmer that
+ * mirrors a shard
+ * @private
+ */
+MockBridge.prototype._getPointers = function(req, params) {
+  var self = this;
+  var token = this.tokens[req.headers['x-token']];
+  var exclude = req.query.exclude ? req.query.exclude.split(',') : [];
+  var skip = Number(req.query.skip) || 0;
+  var limit = Number(req.query.limit) || Infinity;
+  var file, shards;
+
+  if (!token || token.bucket !== params[0] || token.operation !== 'PULL' ||
+      new Date(token.expires) < new Date()) {
+    throw MockBridge._error(401, 'Invalid or expired token');
+  }
+
+  file = this._findFile(params[0], params[1]);
+  shards = this.frames[file.frame].shards.slice(skip, skip + limit);
+
+  return shards.reduce(function(pointers, shard) {
+    return pointers.concat(self.farmers.filter(function(farmer) {
+      return exclude.indexOf(farmer.nodeID) === -1 &&
+             farmer.hasShard(shard.hash);
+    }).map(function(farmer) {
+      return {
+        index: shard.index,
+        hash: shard.hash,
+        size: shard.size,
+        token: farmer.authorize(shard.hash, 'PULL'),
+        operation: 'PULL',
+        farmer: farmer.getContact()
+      };
+    }));
+  }, []);
+};
+
+/**
+ * Serves DELETE /buckets/:id/files/:file
+ * @private
+ */
+MockBridge.prototype._destroyFile = function(req, params, user) {
+  var bucket = this._findBucket(user, params[0]);
+
+  delete this.files[this._findFile(bucket.id, params[1]).id];
+};
+
+/**
+ * Serves GET /frames
+ * @private
+ */
+MockBridge.prototype._getFrames = function(req, params, user) {
+  var frames = this.frames;
+
+  return Object.keys(frames).map(function(id) {
+    return frames[id];
+  }).filter(function(frame) {
+    return frame.user === user.email;
+  });
+};
+
+/**
+ * Serves POST /frames
+ * @private
+ */
+MockBridge.prototype._createFrame = function(req, params, user) {
+  var frame = {
+    id: MockBridge._createId(),
+    user: user.email,
+    locked: false,
+    shards: [],
+    created: new Date().toISOString()
+  };
+
+  this.frames[frame.id] = frame;
+
+  return frame;
+};
+
+/**
+ * Serves GET /frames/:id
+ * @private
+ */
+MockBridge.prototype._getFrame = function(req, params, user) {
+  return this._findFrame(user, params[0]);
+};
+
+/**
+ * Serves PUT /frames/:id, choosing the next farmer that is not excluded to
+ * store the shard and authorizing it to receive the data
+ * @private
+ */
+MockBridge.prototype._addShardToFrame = function(req, params, user) {
+  var frame = this._findFrame(user, params[0]);
+  var shard = req.body;
+  var exclude = shard.exclude || [];
+  var farmer = null;
+
+  if (frame.locked) {
+    throw MockBridge._error(400, 'Frame is locked');
+  }
+
+  if (!shard.hash || typeof shard.size !== 'number') {
+    throw MockBridge._error(400, 'Shard hash and size are required');
+  }
+
+  for (var i = 0; i < this.farmers.length && !farmer; i++) {
+    farmer = this.farmers[this._nextFarmer++ % this.farmers.length];
+    farmer = exclude.indexOf(farmer.nodeID) === -1 ? farmer : null;
+  }
+
+  if (!farmer) {
+    throw MockBridge._error(503, 'No farmer is available to store the shard');
+  }
+
+  frame.shards = frame.shards.filter(function(existing) {
+    return existing.index !== shard.index;
+  }).concat([{ index: shard.index, hash: shard.hash, size: shard.size }]);
+  frame.shards.sort(function(a, b) {
+    return a.index - b.index;
+  });
+
+  return {
+    farmer: farmer.getContact(),
+    hash: shard.hash,
+    token: farmer.authorize(shard.hash, 'PUSH'),
+    operation: 'PUSH'
+  };
+};
+
+/**
+ * Serves DELETE /frames/:id
+ * @private
+ */
+MockBridge.prototype._destroyFrame = function(req, params, user) {
+  delete this.frames[this._findFrame(user, params[0]).id];
+};
+
+/**
+ * Writes a JSON response
+ * @private
+ * @static
+ * @param {http.ServerResponse} res - The response to write
+ * @param {Number} statusCode - Status of the response
+ * @param {Object} body - Body of the response
+ */
+MockBridge._respond = function(res, statusCode, body) {
+  if (typeof body === 'undefined') {
+    res.writeHead(statusCode);
+    return res.end();
+  }
+
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Creates an error to respond with
+ * @private
+ * @static
+ * @param {Number} statusCode - Status of the response
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+MockBridge._error = function(statusCode, message) {
+  var err = new Error(message);
+
+  err.statusCode = statusCode;
+
+  return err;
+};
+
+/**
+ * Decodes the credentials of a basic authorization header
+ * @private
+ * @static
+ * @param {String} header - Value of the authorization header
+ * @returns {Object|null} credentials - With email and (hashed) password
+ */
+MockBridge._parseBasicAuth = function(header) {
+  var decoded, separator;
+
+  if (!header || header.indexOf('Basic ') !== 0) {
+    return null;
+  }
+
+  decoded = Buffer.from(header.substr(6), 'base64').toString();
+  separator = decoded.indexOf(':');
+
+  return {
+    email: decoded.substr(0, separator),
+    password: decoded.substr(separator + 1)
+  };
+};
+
+/**
+ * Creates a unique ID shaped like those given out by the bridge
+ * @private
+ * @static
+ * @returns {String}
+ */
+MockBridge._createId = function() {
+  return crypto.randomBytes(12).toString('hex');
+};
+
+module.exports = MockBridge;
@@ -0,0 +1,198 @@
+'use strict';
+
+var crypto = require('crypto');
+var inherits = require('util').inherits;
+var stream = require('stream');
+var storj = require('storj');
+var EventEmitter = require('events').EventEmitter;
+
+var CHUNK_SIZE = 16 * 1024;
+
+/**
+ * In-memory farmer for offline testing, reached through the data channels
+ * returned by {@link MockBridge#createDataChannel} instead of the network
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.nodeID - Node ID to use, random by default
+ * @param {Number} options.port - Port to report in the farmer's contact
+ */
+function MockFarmer(options) {
+  if (!(this instanceof MockFarmer)) {
+    return new MockFarmer(options);
+  }
+
+  options = options || {};
+
+  this.nodeID = options.nodeID || crypto.randomBytes(20).toString('hex');
+  this.port = options.port || 4000;
+  this.offline = false;
+  this.shards = {};
+  this._tokens = {};
+}
+
+/**
+ * Returns the contact the bridge hands out for this farmer
+ * @returns {Object}
+ */
+MockFarmer.prototype.getContact = function() {
+  return {
+    address: '127.0.0.1',
+    port: this.port,
+    nodeID: this.nodeID,
+    protocol: '0.9.0',
+    lastSeen: Date.now()
+  };
+};
+
+/**
+ * Issues a single use token allowing a shard to be stored or retrieved
+ * @param {String} hash - Hash of the shard
+ * @param {String} operation - PUSH or PULL
+ * @returns {String} token
+ */
+MockFarmer.prototype.authorize = function(hash, operation) {
+  var token = crypto.randomBytes(20).toString('hex');
+
+  this._tokens[token] = { hash: hash, operation: operation };
+
+  return token;
+};
+
+/**
+ * Consumes a token, returning an error if it does not allow the operation
+ * @private
+ * @param {String} token - Token from authorize
+ * @param {String} hash - Hash of the shard
+ * @param {String} operation - PUSH or PULL
+ * @returns {Error|null}
+ */
+MockFarmer.prototype._useToken = function(token, hash, operation) {
+  var grant = this._tokens[token];
+
+  delete this._tokens[token];
+
+  if (!grant || grant.hash !== hash || grant.operation !== operation) {
+    return new Error('The supplied token is not accepted');
+  }
+
+  return null;
+};
+
+/**
+ * Returns a boolean indicating if the farmer stores the shard
+ * @param {String} hash - Hash of the shard
+ * @returns {Boolean}
+ */
+MockFarmer.prototype.hasShard = function(hash) {
+  return !this.offline && Buffer.isBuffer(this.shards[hash]);
+};
+
+/**
+ * Opens an in-memory data channel to this farmer
+ * @returns {MockDataChannel}
+ */
+MockFarmer.prototype.createDataChannel = function() {
+  return new MockDataChannel(this);
+};
+
+/**
+ * Stands in for storj.DataChannelClient
+ * @constructor
+ * @private
+ * @param {MockFarmer} farmer - The farmer to exchange shards with
+ */
+function MockDataChannel(farmer) {
+  var self = this;
+
+  EventEmitter.call(this);
+
+  this._farmer = farmer;
+  this.closed = false;
+
+  setImmediate(function() {
+    if (farmer.offline) {
+      return self.emit('error', new Error('connect ECONNREFUSED'));
+    }
+
+    self.emit('open');
+  });
+}
+
+inherits(MockDataChannel, EventEmitter);
+
+/**
+ * Closes the data channel
+ */
+MockDataChannel.prototype.close = function() {
+  this.closed = true;
+  this.emit('close');
+};
+
+/**
+ * Returns a stream that stores the written shard with the farmer once it
+ * ends, provided the token is valid and the data matches the hash
+ * @param {String} token - Token from the shard's pointer
+ * @param {String} hash - Hash of the shard
+ * @returns {stream.Writable}
+ */
+MockDataChannel.prototype.createWriteStream = function(token, hash) {
+  var farmer = this._farmer;
+  var denied = farmer._useToken(token, hash, 'PUSH');
+  var chunks = [];
+
+  return new stream.Writable({
+    write: function(chunk, encoding, next) {
+      chunks.push(chunk);
+      next(denied);
+    },
+    final: function(done) {
+      var data = Buffer.concat(chunks);
+      var digest = crypto.createHash('sha256').update(data).digest('hex');
+
+      if (denied) {
+        return done(denied);
+      }
+
+      if (storj.utils.rmd160(digest) !== hash) {
+        return done(new Error('Calculated hash does not match the expected'));
+      }
+
+      farmer.shards[hash] = data;
+      done();
+    }
+  });
+};
+
+/**
+ * Returns a stream of the stored shard, provided the token is valid
+ * @param {String} token - Token from the shard's pointer
+ * @param {String} hash - Hash of the shard
+ * @returns {stream.Readable}
+ */
+MockDataChannel.prototype.createReadStream = function(token, hash) {
+  var self = this;
+  var farmer = this._farmer;
+  var denied = farmer._useToken(token, hash, 'PULL');
+  var data = farmer.shards[hash];
+  var position = 0;
+
+  return new stream.Readable({
+    read: function() {
+      var chunk;
+
+      if (denied || !data) {
+        return this.emit('error', denied || new Error('Shard data not found'));
+      }
+
+      if (self.closed || position >= data.length) {
+        return this.push(null);
+      }
+
+      chunk = data.slice(position, position + CHUNK_SIZE);
+      position += chunk.length;
+      this.push(chunk);
+    }
+  });
+};
+
+module.exports = MockFarmer;
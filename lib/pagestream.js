@@ -0,0 +1,75 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var stream = require('stream');
+
+/**
+ * Object mode stream of the items in a paginated listing, fetching each page
+ * only once the items from the page before have been read
+ * @constructor
+ * @private
+ * @param {Function} fetchPage - Called with a page number and returns a
+ * promise for the items on that page, an empty page marks the end
+ * @param {Object} options
+ * @param {Number} options.page - Number of the first page to fetch
+ * @param {Number} options.limit - Maximum number of items to read
+ * @param {Boolean} options.paginated - Fetch more than the first page?
+ */
+function PageStream(fetchPage, options) {
+  if (!(this instanceof PageStream)) {
+    return new PageStream(fetchPage, options);
+  }
+
+  options = options || {};
+
+  stream.Readable.call(this, { objectMode: true });
+
+  this._fetchPage = fetchPage;
+  this._page = options.page || 1;
+  this._limit = options.limit || Infinity;
+  this._paginated = options.paginated !== false;
+  this._pushed = 0;
+  this._fetching = false;
+}
+
+inherits(PageStream, stream.Readable);
+
+/**
+ * Fetches the next page when the consumer wants more items
+ * @private
+ */
+PageStream.prototype._read = function() {
+  var self = this;
+
+  if (this._fetching) {
+    return;
+  }
+
+  this._fetching = true;
+  this._fetchPage(this._page++).then(function(items) {
+    self._fetching = false;
+    self._pushPage(items);
+  }, function(err) {
+    self._fetching = false;
+    self.emit('error', err);
+  });
+};
+
+/**
+ * Pushes the items of a page, ending the stream after the last page or
+ * once the limit is reached
+ * @private
+ * @param {Array} items - Items on the page
+ */
+PageStream.prototype._pushPage = function(items) {
+  for (var i = 0; i < items.length && this._pushed < this._limit; i++) {
+    this._pushed++;
+    this.push(items[i]);
+  }
+
+  if (!items.length || !this._paginated || this._pushed >= this._limit) {
+    this.push(null);
+  }
+};
+
+module.exports = PageStream;
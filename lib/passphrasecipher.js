@@ -0,0 +1,81 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var CIPHER = 'aes-256-gcm';
+var KDF = 'pbkdf2-sha512';
+var KDF_ITERATIONS = 100000;
+
+/**
+ * Derives an encryption key from the passphrase
+ * @private
+ * @param {String} passphrase - Passphrase protecting the data
+ * @param {Buffer} salt - Random salt stored with the data
+ * @param {Number} iterations - PBKDF2 iterations stored with the data
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt, iterations) {
+  return crypto.pbkdf2Sync(passphrase, salt, iterations, 32, 'sha512');
+}
+
+/**
+ * Encrypts data with a key derived from a passphrase
+ * @private
+ * @param {String|Buffer} data - The data to protect
+ * @param {String} passphrase - Passphrase to protect the data with
+ * @returns {Object} sealed - Ciphertext with the parameters to open it
+ */
+module.exports.seal = function(data, passphrase) {
+  var salt = crypto.randomBytes(32);
+  var iv = crypto.randomBytes(12);
+  var cipher = crypto.createCipheriv(
+    CIPHER,
+    deriveKey(passphrase, salt, KDF_ITERATIONS),
+    iv
+  );
+  var ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return {
+    kdf: { name: KDF, iterations: KDF_ITERATIONS },
+    cipher: CIPHER,
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: ciphertext.toString('base64')
+  };
+};
+
+/**
+ * Decrypts data protected by seal
+ * @private
+ * @param {Object} sealed - Result of seal
+ * @param {String} passphrase - Passphrase the data was protected with
+ * @returns {Buffer|null} data - The data, or null for a bad passphrase
+ */
+module.exports.open = function(sealed, passphrase) {
+  var decipher;
+
+  if (sealed.cipher !== CIPHER || !sealed.kdf || sealed.kdf.name !== KDF) {
+    throw new Error('Unsupported encryption parameters');
+  }
+
+  decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(
+      passphrase,
+      Buffer.from(sealed.salt, 'hex'),
+      sealed.kdf.iterations
+    ),
+    Buffer.from(sealed.iv, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(sealed.data, 'base64')),
+      decipher.final()
+    ]);
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,774 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+var stream = require('stream');
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+var errors = require('./errors');
+var Client = require('./client');
+
+var XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+var MAX_KEYS = 1000;
+
+/**
+ * Local HTTP server speaking the core of the S3 REST API (path style only),
+ * so tools written for S3 can store files in buckets: ListBuckets,
+ * ListObjects (v1 and v2), GetObject (with Range), HeadObject, PutObject and
+ * DeleteObject. S3 bucket names are bucket IDs, though a bucket may also be
+ * addressed by its name, and object keys are file names, decrypted where they
+ * were stored with encryptMetadata. Requests are not authenticated, so only
+ * listen on interfaces trusted with the client.
+ * @constructor
+ * @param {Client} client - Client to store and resolve files with
+ * @param {Object} options
+ * @param {Boolean} options.encrypt - Encrypt stored files and decrypt
+ * resolved files with the client's key store or master seed
+ * @fires S3Gateway#request
+ */
+function S3Gateway(client, options) {
+  if (!(this instanceof S3Gateway)) {
+    return new S3Gateway(client, options);
+  }
+
+  options = options || {};
+
+  EventEmitter.call(this);
+
+  this.encrypt = !!options.encrypt;
+  this._client = client;
+  this._server = http.createServer(this._handleRequest.bind(this));
+}
+
+inherits(S3Gateway, EventEmitter);
+
+/**
+ * Triggered when a response has been sent
+ * @event S3Gateway#request
+ * @param {String} method - HTTP verb of the request
+ * @param {String} path - Path of the request
+ * @param {Number} statusCode - Status of the response
+ */
+
+/**
+ * Starts listening for S3 requests
+ * @param {Number} port - Port to listen on
+ * @param {String} host - Address to listen on
+ * @param {Function} callback - Called with the gateway url once listening
+ */
+S3Gateway.prototype.listen = function(port, host, callback) {
+  var self = this;
+
+  this._server.once('error', callback);
+  this._server.listen(port, host, function() {
+    var address = self._server.address();
+
+    self._server.removeListener('error', callback);
+    callback(null, 'http://' + address.address + ':' + address.port);
+  });
+};
+
+/**
+ * Stops listening
+ * @param {Function} callback - Called once the server is closed
+ */
+S3Gateway.prototype.close = function(callback) {
+  this._server.close(callback);
+};
+
+/**
+ * Dispatches a request to the S3 operation it addresses
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {http.ServerResponse} res - The response to write
+ */
+S3Gateway.prototype._handleRequest = function(req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var parts = parsed.pathname.split('/');
+  var bucket, key, operation;
+
+  res.on('finish', function() {
+    self.emit('request', req.method, parsed.pathname, res.statusCode);
+  });
+
+  try {
+    bucket = decodeURIComponent(parts[1] || '');
+    key = decodeURIComponent(parts.slice(2).join('/'));
+  } catch (err) {
+    return S3Gateway._sendError(res, S3Gateway._error(
+      400,
+      'InvalidURI',
+      'Couldn\'t parse the specified URI'
+    ), parsed.pathname);
+  }
+
+  if (!bucket && req.method === 'GET') {
+    operation = this._listBuckets(res);
+  } else if (bucket && !key && req.method === 'GET') {
+    operation = this._listObjects(res, bucket, parsed.query);
+  } else if (key && (req.method === 'GET' || req.method === 'HEAD')) {
+    operation = this._getObject(req, res, bucket, key);
+  } else if (key && req.method === 'PUT' &&
+             !req.headers['x-amz-copy-source']) {
+    operation = this._putObject(req, res, bucket, key);
+  } else if (key && req.method === 'DELETE') {
+    operation = this._deleteObject(res, bucket, key);
+  } else {
+    operation = Promise.reject(S3Gateway._error(
+      501,
+      'NotImplemented',
+      'The gateway does not implement this operation'
+    ));
+  }
+
+  operation.catch(function(err) {
+    S3Gateway._sendError(res, err, parsed.pathname);
+  });
+};
+
+/**
+ * Serves ListBuckets
+ * @private
+ * @param {http.ServerResponse} res - The response to write
+ * @returns {Promise}
+ */
+S3Gateway.prototype._listBuckets = function(res) {
+  return this._client.getBuckets().then(function(buckets) {
+    S3Gateway._sendXML(res, 200, 'ListAllMyBucketsResult', [
+      S3Gateway._element('Owner', [
+        S3Gateway._element('ID', 'storj'),
+        S3Gateway._element('DisplayName', 'storj')
+      ]),
+      S3Gateway._element('Buckets', buckets.map(function(bucket) {
+        return S3Gateway._element('Bucket', [
+          S3Gateway._element('Name', bucket.id),
+          S3Gateway._element('CreationDate', S3Gateway._getDate(bucket))
+        ]);
+      }))
+    ]);
+  });
+};
+
+/**
+ * Serves ListObjects, or ListObjectsV2 if list-type is 2
+ * @private
+ * @param {http.ServerResponse} res - The response to write
+ * @param {String} name - ID or name of the bucket
+ * @param {Object} query - Parsed query string of the request
+ * @returns {Promise}
+ */
+S3Gateway.prototype._listObjects = function(res, name, query) {
+  var self = this;
+  var v2 = query['list-type'] === '2';
+  var prefix = query.prefix || '';
+  var delimiter = query.delimiter || '';
+  var maxKeys = Math.min(Number(query['max-keys']) || MAX_KEYS, MAX_KEYS);
+  var after = v2 ?
+              (query['continuation-token'] ?
+               Buffer.from(query['continuation-token'], 'base64').toString() :
+               query['start-after'] || '') :
+              query.marker || '';
+
+  return this._findBucket(name).then(function(bucket) {
+    return self._listFiles(bucket.id).then(function(files) {
+      var listing = S3Gateway._listKeys(
+        S3Gateway._getLatestFiles(files),
+        prefix,
+        delimiter,
+        after,
+        maxKeys
+      );
+      var children = [
+        S3Gateway._element('Name', name),
+        S3Gateway._element('Prefix', prefix),
+        S3Gateway._element('MaxKeys', maxKeys),
+        S3Gateway._element('IsTruncated', listing.truncated)
+      ];
+
+      if (delimiter) {
+        children.push(S3Gateway._element('Delimiter', delimiter));
+      }
+
+      if (v2) {
+        children.push(S3Gateway._element(
+          'KeyCount',
+          listing.files.length + listing.prefixes.length
+        ));
+      }
+
+      if (v2 && query['continuation-token']) {
+        children.push(S3Gateway._element(
+          'ContinuationToken',
+          query['continuation-token']
+        ));
+      }
+
+      if (v2 && listing.truncated) {
+        children.push(S3Gateway._element(
+          'NextContinuationToken',
+          Buffer.from(listing.next).toString('base64')
+        ));
+      }
+
+      if (!v2) {
+        children.push(S3Gateway._element('Marker', after));
+      }
+
+      if (!v2 && listing.truncated && delimiter) {
+        children.push(S3Gateway._element('NextMarker', listing.next));
+      }
+
+      listing.files.forEach(function(file) {
+        children.push(S3Gateway._element('Contents', [
+          S3Gateway._element('Key', file.filename),
+          S3Gateway._element('LastModified', S3Gateway._getDate(file)),
+          S3Gateway._element('ETag', S3Gateway._getETag(file)),
+          S3Gateway._element('Size', file.size),
+          S3Gateway._element('StorageClass', 'STANDARD')
+        ]));
+      });
+
+      listing.prefixes.forEach(function(commonPrefix) {
+        children.push(S3Gateway._element('CommonPrefixes', [
+          S3Gateway._element('Prefix', commonPrefix)
+        ]));
+      });
+
+      S3Gateway._sendXML(res, 200, 'ListBucketResult', children);
+    });
+  });
+};
+
+/**
+ * Serves GetObject and HeadObject, honouring a single byte range
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {http.ServerResponse} res - The response to write
+ * @param {String} name - ID or name of the bucket
+ * @param {String} key - Key of the object
+ * @returns {Promise}
+ */
+S3Gateway.prototype._getObject = function(req, res, name, key) {
+  var self = this;
+  var client = this._client;
+  var bucket, file, range, headers;
+
+  return this._findBucket(name).then(function(result) {
+    bucket = result;
+    return self._findObject(bucket.id, key);
+  }).then(function(result) {
+    file = result;
+    range = S3Gateway._parseRange(req.headers.range, file.size);
+
+    if (range === null) {
+      throw S3Gateway._error(
+        416,
+        'InvalidRange',
+        'The requested range is not satisfiable'
+      );
+    }
+
+    headers = {
+      'Content-Type': file.mimetype || 'binary/octet-stream',
+      'Content-Length': range ? range.end - range.start + 1 : file.size,
+      'ETag': S3Gateway._getETag(file),
+      'Last-Modified': new Date(S3Gateway._getDate(file)).toUTCString(),
+      'Accept-Ranges': 'bytes'
+    };
+
+    if (range) {
+      headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end +
+                                 '/' + file.size;
+    }
+
+    if (req.method === 'HEAD') {
+      res.writeHead(range ? 206 : 200, headers);
+      return res.end();
+    }
+
+    return client.createToken(bucket.id, 'PULL').then(function(token) {
+      return client.getFilePointer(bucket.id, token.token, file.id);
+    }).then(function(pointers) {
+      var resolve = self.encrypt ?
+                    client.resolveEncryptedFileFromPointers :
+                    client.resolveFileFromPointers;
+
+      return resolve.call(client, pointers, {
+        bucket: bucket.id,
+        file: file.id,
+        range: range || undefined
+      });
+    }).then(function(source) {
+      res.writeHead(range ? 206 : 200, headers);
+      source.on('error', function() {
+        // NB: The status has been sent, so the client can only learn of the
+        // failure from the connection closing before the content length
+        res.destroy();
+      }).pipe(res);
+    });
+  });
+};
+
+/**
+ * Serves PutObject, replacing any file already stored under the key once
+ * the new one is stored. Like S3, the length of the body must be declared,
+ * and the bridge cannot store an empty file.
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {http.ServerResponse} res - The response to write
+ * @param {String} name - ID or name of the bucket
+ * @param {String} key - Key of the object
+ * @returns {Promise}
+ */
+S3Gateway.prototype._putObject = function(req, res, name, key) {
+  var self = this;
+  var client = this._client;
+  var chunked = /^STREAMING-/.test(req.headers['x-amz-content-sha256'] || '');
+  var length = chunked ?
+               req.headers['x-amz-decoded-content-length'] :
+               req.headers['content-length'];
+  var size = Number(length);
+  var aborted = null;
+  var bucket, replaced, body;
+
+  if (!length || isNaN(size)) {
+    return Promise.reject(S3Gateway._error(
+      411,
+      'MissingContentLength',
+      'You must provide the Content-Length HTTP header'
+    ));
+  }
+
+  if (size === 0) {
+    return Promise.reject(S3Gateway._error(
+      400,
+      'EntityTooSmall',
+      'Your proposed upload is smaller than the minimum allowed object size'
+    ));
+  }
+
+  // NB: The body of an aborted request never ends, so end it early instead,
+  // failing the upload as shorter than declared rather than leaving it to
+  // wait for the rest
+  function abort() {
+    aborted = aborted || S3Gateway._error(
+      400,
+      'IncompleteBody',
+      'The request body was not fully received'
+    );
+
+    if (body) {
+      req.unpipe(body);
+      body.end();
+    }
+  }
+
+  req.on('aborted', abort);
+  req.on('error', abort);
+
+  return this._findBucket(name).then(function(result) {
+    bucket = result;
+    return self._listFiles(bucket.id);
+  }).then(function(files) {
+    replaced = files.filter(function(file) {
+      return file.filename === key;
+    });
+
+    return client.createToken(bucket.id, 'PUSH');
+  }).then(function(token) {
+    var store = self.encrypt ?
+                client.storeEncryptedFileInBucket :
+                client.storeFileInBucket;
+
+    if (aborted) {
+      throw aborted;
+    }
+
+    body = req.pipe(chunked ?
+                    S3Gateway._createChunkDecoder() :
+                    new stream.PassThrough());
+
+    return store.call(client, bucket.id, token.token, body, {
+      filename: key,
+      mimetype: req.headers['content-type'],
+      size: size
+    });
+  }).then(function(file) {
+    res.setHeader('ETag', S3Gateway._getETag(file));
+    res.writeHead(200);
+    res.end();
+
+    // NB: A replaced file left behind by a failed removal is shadowed by the
+    // new one, as only the latest file stored under a key is served
+    return Promise.all(replaced.map(function(file) {
+      return client.removeFileFromBucket(bucket.id, file.id);
+    })).catch(function() {});
+  });
+};
+
+/**
+ * Serves DeleteObject, which succeeds whether or not the key exists
+ * @private
+ * @param {http.ServerResponse} res - The response to write
+ * @param {String} name - ID or name of the bucket
+ * @param {String} key - Key of the object
+ * @returns {Promise}
+ */
+S3Gateway.prototype._deleteObject = function(res, name, key) {
+  var self = this;
+  var client = this._client;
+
+  return this._findBucket(name).then(function(bucket) {
+    return self._listFiles(bucket.id).then(function(files) {
+      return Promise.all(files.filter(function(file) {
+        return file.filename === key;
+      }).map(function(file) {
+        return client.removeFileFromBucket(bucket.id, file.id);
+      }));
+    });
+  }).then(function() {
+    res.writeHead(204);
+    res.end();
+  });
+};
+
+/**
+ * Returns the bucket with the given ID, or else the given name
+ * @private
+ * @param {String} name - ID or name of the bucket
+ * @returns {Promise}
+ */
+S3Gateway.prototype._findBucket = function(name) {
+  return this._client.getBuckets().then(function(buckets) {
+    var bucket = buckets.filter(function(bucket) {
+      return bucket.id === name;
+    })[0] || buckets.filter(function(bucket) {
+      return bucket.name === name;
+    })[0];
+
+    if (!bucket) {
+      throw S3Gateway._error(
+        404,
+        'NoSuchBucket',
+        'The specified bucket does not exist'
+      );
+    }
+
+    return bucket;
+  });
+};
+
+/**
+ * Lists the files in the bucket with their names decrypted, leaving out
+ * those whose name cannot be decrypted with the client's keys
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @returns {Promise}
+ */
+S3Gateway.prototype._listFiles = function(bucket) {
+  var client = this._client;
+
+  return client.listFilesInBucket(bucket).then(function(files) {
+    return client.decryptFileMetadata(bucket, files);
+  }).then(function(files) {
+    return files.filter(function(file) {
+      return !Client.hasEncryptedMetadata(file);
+    });
+  });
+};
+
+/**
+ * Returns the file most recently stored under the key
+ * @private
+ * @param {String} bucket - Unique bucket ID
+ * @param {String} key - Key of the object
+ * @returns {Promise}
+ */
+S3Gateway.prototype._findObject = function(bucket, key) {
+  return this._listFiles(bucket).then(function(files) {
+    var file = S3Gateway._getLatestFiles(files).filter(function(file) {
+      return file.filename === key;
+    })[0];
+
+    if (!file) {
+      throw S3Gateway._error(
+        404,
+        'NoSuchKey',
+        'The specified key does not exist'
+      );
+    }
+
+    return file;
+  });
+};
+
+/**
+ * Returns one file per file name, the last listed (most recently stored)
+ * wherever a name was stored more than once, sorted by name
+ * @private
+ * @static
+ * @param {Array} files - Result of {@link Client#listFilesInBucket}
+ * @returns {Array}
+ */
+S3Gateway._getLatestFiles = function(files) {
+  var latest = {};
+
+  files.forEach(function(file) {
+    latest[file.filename] = file;
+  });
+
+  return Object.keys(latest).sort().map(function(filename) {
+    return latest[filename];
+  });
+};
+
+/**
+ * Selects a page of files and common prefixes like S3 ListObjects
+ * @private
+ * @static
+ * @param {Array} files - Files sorted by name
+ * @param {String} prefix - Only list keys starting with this prefix
+ * @param {String} delimiter - Roll keys up to the first delimiter after the
+ * prefix into common prefixes
+ * @param {String} after - Only list keys after this key or common prefix
+ * @param {Number} maxKeys - Maximum number of keys and common prefixes
+ * @returns {Object} listing - With files, prefixes, truncated and next
+ */
+S3Gateway._listKeys = function(files, prefix, delimiter, after, maxKeys) {
+  var listing = { files: [], prefixes: [], truncated: false, next: null };
+  var skipPrefix = delimiter && after.substr(-delimiter.length) === delimiter ?
+                   after :
+                   null;
+
+  files.filter(function(file) {
+    return file.filename.indexOf(prefix) === 0 && file.filename > after &&
+           !(skipPrefix && file.filename.indexOf(skipPrefix) === 0);
+  }).forEach(function(file) {
+    var end = delimiter ?
+              file.filename.indexOf(delimiter, prefix.length) :
+              -1;
+    var commonPrefix = end === -1 ?
+                       null :
+                       file.filename.substr(0, end + delimiter.length);
+
+    if (listing.truncated || commonPrefix && commonPrefix === listing.next) {
+      return;
+    }
+
+    if (listing.files.length + listing.prefixes.length === maxKeys) {
+      listing.truncated = true;
+      return;
+    }
+
+    if (commonPrefix) {
+      listing.prefixes.push(commonPrefix);
+    } else {
+      listing.files.push(file);
+    }
+
+    listing.next = commonPrefix || file.filename;
+  });
+
+  return listing;
+};
+
+/**
+ * Parses a Range header for a single byte range
+ * @private
+ * @static
+ * @param {String} header - Value of the Range header, if any
+ * @param {Number} size - Size of the object
+ * @returns {Object|null|undefined} range - With start and end (inclusive),
+ * null if the range is not satisfiable, undefined to serve the whole object
+ */
+S3Gateway._parseRange = function(header, size) {
+  var match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  var start, end;
+
+  if (!match || (!match[1] && !match[2])) {
+    return undefined;
+  }
+
+  if (!match[1]) {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || end < start) {
+    return null;
+  }
+
+  return { start: start, end: end };
+};
+
+/**
+ * Creates a stream that decodes an aws-chunked body, as sent by S3 clients
+ * signing each chunk of the payload
+ * @private
+ * @static
+ * @returns {stream.Transform}
+ */
+S3Gateway._createChunkDecoder = function() {
+  var buffer = Buffer.alloc(0);
+  var remaining = 0;
+  var done = false;
+
+  return new stream.Transform({
+    transform: function(chunk, encoding, next) {
+      var header, size;
+
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (!done && buffer.length) {
+        if (remaining) {
+          size = Math.min(remaining, buffer.length);
+          this.push(buffer.slice(0, size));
+          buffer = buffer.slice(size);
+          remaining -= size;
+          continue;
+        }
+
+        header = buffer.indexOf('\r\n', buffer[0] === 13 ? 2 : 0);
+
+        if (header === -1) {
+          break;
+        }
+
+        // NB: Each chunk but the first is preceded by the CRLF ending the
+        // data of the chunk before it
+        size = parseInt(buffer.slice(0, header).toString().trim(), 16);
+        buffer = buffer.slice(header + 2);
+
+        if (isNaN(size)) {
+          return next(new Error('Invalid aws-chunked body'));
+        }
+
+        remaining = size;
+        done = size === 0;
+      }
+
+      next();
+    }
+  });
+};
+
+/**
+ * Returns the ETag to report for a file, the same for every operation since
+ * the bridge does not know the MD5 of the content
+ * @private
+ * @static
+ * @param {Object} file - The file
+ * @returns {String}
+ */
+S3Gateway._getETag = function(file) {
+  return '"' + file.id + '"';
+};
+
+/**
+ * Returns the creation date of a bucket or file as an ISO 8601 string
+ * @private
+ * @static
+ * @param {Object} item - The bucket or file
+ * @returns {String}
+ */
+S3Gateway._getDate = function(item) {
+  return new Date(item.created || 0).toISOString();
+};
+
+/**
+ * Creates an S3 error to respond with
+ * @private
+ * @static
+ * @param {Number} statusCode - Status of the response
+ * @param {String} code - S3 error code
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+S3Gateway._error = function(statusCode, code, message) {
+  var err = new Error(message);
+
+  err.statusCode = statusCode;
+  err.code = code;
+
+  return err;
+};
+
+/**
+ * Writes an S3 error response, translating bridge and transfer errors into
+ * the closest S3 error
+ * @private
+ * @static
+ * @param {http.ServerResponse} res - The response to write
+ * @param {Error} err - The reason the operation failed
+ * @param {String} resource - Path of the request
+ */
+S3Gateway._sendError = function(res, err, resource) {
+  if (err instanceof errors.AuthenticationError) {
+    err = S3Gateway._error(403, 'AccessDenied', err.message);
+  } else if (err instanceof errors.NotFoundError) {
+    err = S3Gateway._error(404, 'NoSuchKey', err.message);
+  } else if (err instanceof errors.ValidationError) {
+    err = S3Gateway._error(400, 'InvalidRequest', err.message);
+  } else if (err instanceof errors.BridgeError ||
+             err instanceof errors.TransferError) {
+    err = S3Gateway._error(503, 'ServiceUnavailable', err.message);
+  } else if (!err.statusCode) {
+    err = S3Gateway._error(500, 'InternalError', err.message);
+  }
+
+  if (res.headersSent) {
+    return res.destroy();
+  }
+
+  S3Gateway._sendXML(res, err.statusCode, 'Error', [
+    S3Gateway._element('Code', err.code),
+    S3Gateway._element('Message', err.message),
+    S3Gateway._element('Resource', resource)
+  ]);
+};
+
+/**
+ * Writes an XML response
+ * @private
+ * @static
+ * @param {http.ServerResponse} res - The response to write
+ * @param {Number} statusCode - Status of the response
+ * @param {String} root - Name of the root element
+ * @param {Array} children - Serialized child elements
+ */
+S3Gateway._sendXML = function(res, statusCode, root, children) {
+  var body = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+             '<' + root + ' xmlns="' + XMLNS + '">' + children.join('') +
+             '</' + root + '>';
+
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/xml',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+};
+
+/**
+ * Serializes an XML element
+ * @private
+ * @static
+ * @param {String} name - Name of the element
+ * @param {Array|String|Number|Boolean} content - Serialized child elements,
+ * or a value to escape as the element's text
+ * @returns {String}
+ */
+S3Gateway._element = function(name, content) {
+  var text = Array.isArray(content) ? content.join('') : String(content)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return '<' + name + '>' + text + '</' + name + '>';
+};
+
+module.exports = S3Gateway;
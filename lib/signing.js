@@ -0,0 +1,206 @@
+/**
+ * @module bridge-client/signing
+ */
+
+'use strict';
+
+var querystring = require('querystring');
+var url = require('url');
+var KeyPair = require('./keypair');
+var errors = require('./errors');
+
+var QUERY_METHODS = ['GET', 'DELETE'];
+
+/**
+ * Builds the contract that is signed to authenticate a bridge request: the
+ * method, the path and the payload joined by newlines. Undefined query
+ * parameters are left out, as they are from the URL the request is sent to.
+ * @param {String} method - HTTP verb
+ * @param {String} path - Endpoint path, relative to the API base URI
+ * @param {Object} params - Query parameters for GET and DELETE, or the JSON
+ * body for any other method
+ * @returns {String} contract
+ */
+module.exports.createContract = function(method, path, params) {
+  var payload = QUERY_METHODS.indexOf(method) !== -1 ?
+                querystring.stringify(omitUndefined(params)) :
+                JSON.stringify(params);
+
+  return [method, path, payload].join('\n');
+};
+
+/**
+ * Returns a copy of the query parameters without those that are undefined
+ * @private
+ * @param {Object} params - Query parameters
+ * @returns {Object}
+ */
+function omitUndefined(params) {
+  return Object.keys(params || {}).reduce(function(result, key) {
+    if (typeof params[key] !== 'undefined') {
+      result[key] = params[key];
+    }
+
+    return result;
+  }, {});
+}
+
+/**
+ * Signs options for the request module with the given key pair, adding the
+ * x-pubkey and x-signature headers
+ * @param {Object} opts - Options to pass to request, with method, uri and
+ * either qs or json set
+ * @param {KeyPair} keypair - Key pair to sign with
+ * @returns {Object} opts
+ */
+module.exports.signRequest = function(opts, keypair) {
+  var contract = module.exports.createContract(
+    opts.method,
+    opts.uri,
+    QUERY_METHODS.indexOf(opts.method) !== -1 ? opts.qs : opts.json
+  );
+
+  opts.headers = opts.headers || {};
+  opts.headers['x-pubkey'] = keypair.getPublicKey();
+  opts.headers['x-signature'] = keypair.sign(contract);
+
+  return opts;
+};
+
+/**
+ * Returns a boolean indicating if the signature over the contract was made
+ * by the given public key
+ * @param {String} contract - Result of createContract
+ * @param {String} pubkey - Hex encoded ECDSA (secp256k1) public key
+ * @param {String} signature - DER signature (hex)
+ * @returns {Boolean}
+ */
+module.exports.verifyContract = function(contract, pubkey, signature) {
+  try {
+    // NB: KeyPair#verify does not use the key pair it is called on
+    return KeyPair.prototype.verify(contract, pubkey, signature);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Reads the parameters a request was signed with: the parsed query string
+ * for GET and DELETE, or the JSON body for any other method. A body already
+ * read by a body parser is used as is (preferring req.rawBody if it kept
+ * one), otherwise the body is read here and left parsed on req.body.
+ * @private
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {Function} callback - Called with error or the params
+ */
+function readParams(req, callback) {
+  var chunks = [];
+
+  if (QUERY_METHODS.indexOf(req.method) !== -1) {
+    return callback(null, querystring.parse(url.parse(req.url).query || ''));
+  }
+
+  if (typeof req.rawBody !== 'undefined') {
+    return parseBody(req.rawBody.toString(), callback);
+  }
+
+  if (req._body || typeof req.body !== 'undefined') {
+    return callback(null, req.body);
+  }
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  }).on('error', callback).on('end', function() {
+    req.rawBody = Buffer.concat(chunks).toString();
+
+    parseBody(req.rawBody, function(err, body) {
+      if (err) {
+        return callback(err);
+      }
+
+      // NB: Marks the body as read for body parsers later in the chain
+      req._body = true;
+      req.body = body;
+      callback(null, body);
+    });
+  });
+}
+
+/**
+ * Parses a JSON request body
+ * @private
+ * @param {String} body - The raw body
+ * @param {Function} callback - Called with error or the parsed body
+ */
+function parseBody(body, callback) {
+  try {
+    callback(null, body ? JSON.parse(body) : undefined);
+  } catch (err) {
+    callback(new errors.ValidationError('Request body is not valid JSON', {
+      statusCode: 400
+    }));
+  }
+}
+
+/**
+ * Verifies the x-pubkey and x-signature headers of an incoming request
+ * @param {http.IncomingMessage} req - The incoming request, with req.url
+ * relative to the API base URI the client was given
+ * @param {Function} callback - Called with an error if the request is not
+ * correctly signed, or null and the public key that signed it
+ */
+module.exports.verifyRequest = function(req, callback) {
+  var pubkey = req.headers['x-pubkey'];
+  var signature = req.headers['x-signature'];
+  var details = {
+    statusCode: 401,
+    method: req.method,
+    path: url.parse(req.url).pathname
+  };
+
+  if (!pubkey || !signature) {
+    return callback(new errors.AuthenticationError(
+      'Missing x-pubkey or x-signature header',
+      details
+    ));
+  }
+
+  readParams(req, function(err, params) {
+    var contract;
+
+    if (err) {
+      return callback(err);
+    }
+
+    contract = module.exports.createContract(req.method, details.path, params);
+
+    if (!module.exports.verifyContract(contract, pubkey, signature)) {
+      return callback(new errors.AuthenticationError(
+        'Invalid signature',
+        details
+      ));
+    }
+
+    callback(null, pubkey);
+  });
+};
+
+/**
+ * Creates connect style middleware (as used by express) that rejects
+ * requests that are not signed like bridge requests, and sets req.pubkey to
+ * the public key of those that are. Nonces are not tracked, so services
+ * that must refuse replayed requests should check the __nonce parameter.
+ * @returns {Function} middleware - Takes req, res and next
+ */
+module.exports.createMiddleware = function() {
+  return function verifySignature(req, res, next) {
+    module.exports.verifyRequest(req, function(err, pubkey) {
+      if (err) {
+        return next(err);
+      }
+
+      req.pubkey = pubkey;
+      next();
+    });
+  };
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var stream = require('stream');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Splits any readable stream into consecutive shard streams of a fixed size,
+ * like storj.FileDemuxer but without needing a file path or a known length
+ * @constructor
+ * @param {stream.Readable} source - The stream to demultiplex
+ * @param {Object} options
+ * @param {Number} options.shardSize - Size of each shard
+ * @param {Number} options.size - Expected length of the source, if known
+ * @fires StreamDemuxer#shard
+ * @fires StreamDemuxer#finish
+ * @fires StreamDemuxer#error
+ */
+function StreamDemuxer(source, options) {
+  if (!(this instanceof StreamDemuxer)) {
+    return new StreamDemuxer(source, options);
+  }
+
+  EventEmitter.call(this);
+
+  this._source = source;
+  this._shardSize = options.shardSize;
+  this._expectedSize = options.size;
+  this._currentOutput = null;
+  this._currentShardIndex = -1;
+  this._currentShardSize = 0;
+  this._bytesRead = 0;
+  this._failed = false;
+
+  setImmediate(this._openStream.bind(this));
+}
+
+/**
+ * Triggered when the demuxer has a shard ready to stream
+ * @event StreamDemuxer#shard
+ * @param {stream.Readable} shard - The shard as a readable stream
+ * @param {Number} index - Index of the shard
+ */
+
+/**
+ * Triggered when the source has ended and every shard has been closed
+ * @event StreamDemuxer#finish
+ * @param {Number} bytes - Total number of bytes read from the source
+ * @param {Number} shards - Total number of shards emitted
+ */
+
+/**
+ * Triggered when the source fails or does not match the expected size
+ * @event StreamDemuxer#error
+ * @param {Error} error
+ */
+
+inherits(StreamDemuxer, EventEmitter);
+
+/**
+ * Stops reading from the source
+ */
+StreamDemuxer.prototype.pause = function() {
+  this._source.pause();
+};
+
+/**
+ * Continues reading from the source
+ */
+StreamDemuxer.prototype.resume = function() {
+  this._source.resume();
+};
+
+/**
+ * Starts reading from the source stream
+ * @private
+ */
+StreamDemuxer.prototype._openStream = function() {
+  this._source.on('error', this._fail.bind(this));
+  this._source.on('data', this._handleSourceBytes.bind(this));
+  this._source.on('end', this._handleSourceEnded.bind(this));
+};
+
+/**
+ * Routes incoming bytes to the current shard, opening new shards as needed
+ * @private
+ */
+StreamDemuxer.prototype._handleSourceBytes = function(chunk) {
+  var take;
+
+  if (this._failed) {
+    return;
+  }
+
+  this._bytesRead += chunk.length;
+
+  if (this._expectedSize !== undefined &&
+      this._bytesRead > this._expectedSize) {
+    return this._fail(new Error('Source exceeds the declared size'));
+  }
+
+  while (chunk.length) {
+    if (!this._currentOutput || this._currentShardSize === this._shardSize) {
+      this._openNextOutput();
+    }
+
+    take = Math.min(chunk.length, this._shardSize - this._currentShardSize);
+
+    this._currentOutput.write(chunk.slice(0, take));
+    this._currentShardSize += take;
+    chunk = chunk.slice(take);
+  }
+};
+
+/**
+ * Closes the current shard and emits a new one
+ * @private
+ */
+StreamDemuxer.prototype._openNextOutput = function() {
+  if (this._currentOutput) {
+    this._currentOutput.end();
+  }
+
+  this._currentOutput = new stream.PassThrough();
+  this._currentShardSize = 0;
+
+  this.emit('shard', this._currentOutput, ++this._currentShardIndex);
+};
+
+/**
+ * Closes the last shard and emits the totals
+ * @private
+ */
+StreamDemuxer.prototype._handleSourceEnded = function() {
+  if (this._failed) {
+    return;
+  }
+
+  if (this._expectedSize !== undefined &&
+      this._bytesRead !== this._expectedSize) {
+    return this._fail(new Error('Source is shorter than the declared size'));
+  }
+
+  if (this._currentOutput) {
+    this._currentOutput.end();
+  }
+
+  this.emit('finish', this._bytesRead, this._currentShardIndex + 1);
+};
+
+/**
+ * Stops demuxing and emits the error
+ * @private
+ */
+StreamDemuxer.prototype._fail = function(err) {
+  if (this._failed) {
+    return;
+  }
+
+  this._failed = true;
+  this._source.pause();
+  this.emit('error', err);
+};
+
+module.exports = StreamDemuxer;
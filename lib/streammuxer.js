@@ -0,0 +1,109 @@
+'use strict';
+
+var assert = require('assert');
+var inherits = require('util').inherits;
+var stream = require('stream');
+
+/**
+ * Joins ordered shard streams into a single readable stream, like
+ * storj.FileMuxer but reading each input only once the previous one has
+ * ended, and able to be aborted when an input will never arrive
+ * @constructor
+ * @param {Object} options
+ * @param {Number} options.shards - Number of inputs to join
+ * @param {Number} options.length - Total number of bytes of the inputs
+ */
+function StreamMuxer(options) {
+  if (!(this instanceof StreamMuxer)) {
+    return new StreamMuxer(options);
+  }
+
+  assert(options.shards > 0, 'Cannot multiplex a 0 shard stream');
+  assert(options.length > 0, 'Cannot multiplex a 0 length stream');
+
+  stream.Readable.call(this);
+
+  this._shards = options.shards;
+  this._length = options.length;
+  this._inputs = [];
+  this._current = 0;
+  this._bytesRead = 0;
+  this._waiting = false;
+  this._aborted = false;
+}
+
+inherits(StreamMuxer, stream.Readable);
+
+/**
+ * Adds the next input stream
+ * @param {stream.Readable} readable - Readable input stream of a shard
+ * @returns {StreamMuxer}
+ */
+StreamMuxer.prototype.input = function(readable) {
+  var self = this;
+  var index = this._inputs.length;
+
+  assert(index < this._shards, 'Inputs exceed defined number of shards');
+
+  this._inputs.push(readable);
+
+  readable.on('readable', function() {
+    if (index === self._current) {
+      self._pull();
+    }
+  });
+  readable.on('end', function() {
+    self._current++;
+    self._pull();
+  });
+
+  return this;
+};
+
+/**
+ * Stops reading from the inputs, leaving the stream unfinished
+ */
+StreamMuxer.prototype.abort = function() {
+  this._aborted = true;
+};
+
+/**
+ * Implements the underlying read method
+ * @private
+ */
+StreamMuxer.prototype._read = function() {
+  this._waiting = true;
+  this._pull();
+};
+
+/**
+ * Pushes data from the current input for as long as it is wanted
+ * @private
+ */
+StreamMuxer.prototype._pull = function() {
+  var input = this._inputs[this._current];
+  var chunk;
+
+  while (this._waiting && !this._aborted) {
+    if (this._bytesRead === this._length) {
+      this._waiting = false;
+      return this.push(null);
+    }
+
+    chunk = input ? input.read() : null;
+
+    if (chunk === null) {
+      return;
+    }
+
+    if (this._bytesRead + chunk.length > this._length) {
+      this._aborted = true;
+      return this.emit('error', new Error('Input exceeds the declared length'));
+    }
+
+    this._bytesRead += chunk.length;
+    this._waiting = this.push(chunk);
+  }
+};
+
+module.exports = StreamMuxer;
@@ -0,0 +1,122 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+
+/**
+ * Persists what {@link Client#syncDirectory} last stored for each file in a
+ * directory, so that only new or changed files are uploaded on the next sync
+ * @constructor
+ * @param {String} filePath - Path to store the state database
+ */
+function SyncState(filePath) {
+  if (!(this instanceof SyncState)) {
+    return new SyncState(filePath);
+  }
+
+  assert(typeof filePath === 'string', 'Invalid path supplied to sync state');
+
+  this._path = filePath;
+  this._data = this._loadStateFromDisk();
+}
+
+/**
+ * Returns the path the state database is stored at
+ * @returns {String}
+ */
+SyncState.prototype.getPath = function() {
+  return this._path;
+};
+
+/**
+ * Returns the bucket the directory is synced to, if it has been synced
+ * @returns {String|null}
+ */
+SyncState.prototype.getBucket = function() {
+  return this._data.bucket || null;
+};
+
+/**
+ * Sets the bucket the directory is synced to and saves the state
+ * @param {String} bucket - Unique bucket ID
+ */
+SyncState.prototype.setBucket = function(bucket) {
+  this._data.bucket = bucket;
+  this._saveStateToDisk();
+};
+
+/**
+ * Returns the stored entry for the file at the given relative path
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @returns {Object|null} entry - With size, mtime, hash and id
+ */
+SyncState.prototype.get = function(relpath) {
+  return this._data.files[relpath] || null;
+};
+
+/**
+ * Stores the entry for the file at the given relative path and saves the
+ * state
+ * @param {String} relpath - Path of the file, relative to the directory
+ * @param {Object} entry
+ * @param {Number} entry.size - Size of the file in bytes
+ * @param {Number} entry.mtime - Modification time of the file (ms)
+ * @param {String} entry.hash - SHA-256 hash of the file's content
+ * @param {String} entry.id - ID of the file in the bucket
+ * @returns {Object}
+ */
+SyncState.prototype.set = function(relpath, entry) {
+  this._data.files[relpath] = {
+    size: entry.size,
+    mtime: entry.mtime,
+    hash: entry.hash,
+    id: entry.id
+  };
+  this._saveStateToDisk();
+
+  return this._data.files[relpath];
+};
+
+/**
+ * Removes the entry for the file at the given relative path and saves the
+ * state
+ * @param {String} relpath - Path of the file, relative to the directory
+ */
+SyncState.prototype.remove = function(relpath) {
+  delete this._data.files[relpath];
+  this._saveStateToDisk();
+};
+
+/**
+ * Returns the relative paths of every stored file
+ * @returns {Array}
+ */
+SyncState.prototype.getPaths = function() {
+  return Object.keys(this._data.files);
+};
+
+/**
+ * Loads the state file or returns an empty state
+ * @private
+ */
+SyncState.prototype._loadStateFromDisk = function() {
+  if (!fs.existsSync(this._path)) {
+    return { bucket: null, files: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(this._path).toString());
+};
+
+/**
+ * Saves the state file to disk, replacing it atomically so that an
+ * interrupted sync never leaves a partially written state behind
+ * @private
+ */
+SyncState.prototype._saveStateToDisk = function() {
+  var tmpPath = this._path + '.tmp';
+
+  fs.writeFileSync(tmpPath, JSON.stringify(this._data));
+  fs.renameSync(tmpPath, this._path);
+};
+
+module.exports = SyncState;
@@ -0,0 +1,15 @@
+/**
+ * @module bridge-client/testing
+ */
+
+'use strict';
+
+/**
+ * {@link MockBridge}
+ */
+module.exports.MockBridge = require('./mockbridge');
+
+/**
+ * {@link MockFarmer}
+ */
+module.exports.MockFarmer = require('./mockfarmer');
@@ -0,0 +1,203 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Handle returned from file transfers that reports progress as events and
+ * settles like a promise, so it can be used anywhere a promise was expected
+ * @constructor
+ * @param {Object} options
+ * @param {Number} options.totalBytes - Number of bytes to be transferred
+ * @param {Number} options.totalShards - Number of shards to be transferred
+ * @fires Transfer#progress
+ * @fires Transfer#shard-start
+ * @fires Transfer#shard-complete
+ * @fires Transfer#retry
+ * @fires Transfer#finish
+ * @fires Transfer#error
+ */
+function Transfer(options) {
+  if (!(this instanceof Transfer)) {
+    return new Transfer(options);
+  }
+
+  var self = this;
+
+  options = options || {};
+
+  EventEmitter.call(this);
+
+  this.totalBytes = options.totalBytes || 0;
+  this.totalShards = options.totalShards || 0;
+  this.bytesTransferred = 0;
+  this.shardsCompleted = 0;
+  this.settled = false;
+  this.failed = false;
+  this.finished = false;
+  this._promise = new Promise(function(resolve, reject) {
+    self._resolvePromise = resolve;
+    self._rejectPromise = reject;
+  });
+
+  // NB: Callers may rely on events alone, so never report unhandled rejection
+  this._promise.catch(function() {});
+}
+
+/**
+ * Triggered when bytes have been sent or received
+ * @event Transfer#progress
+ * @param {Object} status - See {@link Transfer#getStatus}
+ */
+
+/**
+ * Triggered when a shard starts transferring to or from a farmer
+ * @event Transfer#shard-start
+ * @param {Number} index - Index of the shard in the file
+ * @param {Object} farmer - Contact of the farmer
+ */
+
+/**
+ * Triggered when a shard has finished transferring
+ * @event Transfer#shard-complete
+ * @param {Number} index - Index of the shard in the file
+ * @param {Object} farmer - Contact of the farmer
+ */
+
+/**
+ * Triggered when a shard transfer failed and will be retried elsewhere
+ * @event Transfer#retry
+ * @param {Number} index - Index of the shard in the file
+ * @param {Object} farmer - Contact of the farmer that failed
+ * @param {Error} error - The reason the transfer failed
+ */
+
+/**
+ * Triggered when every shard has been transferred
+ * @event Transfer#finish
+ * @param {Object} status - See {@link Transfer#getStatus}
+ */
+
+/**
+ * Triggered when the transfer has failed, only if a listener is attached
+ * @event Transfer#error
+ * @param {Error} error - The reason the transfer failed
+ */
+
+inherits(Transfer, EventEmitter);
+
+/**
+ * Returns the current totals of the transfer
+ * @returns {Object}
+ */
+Transfer.prototype.getStatus = function() {
+  return {
+    bytesTransferred: this.bytesTransferred,
+    totalBytes: this.totalBytes,
+    shardsCompleted: this.shardsCompleted,
+    totalShards: this.totalShards
+  };
+};
+
+/**
+ * Adds to the number of bytes transferred (negative to discard the bytes of
+ * a failed attempt)
+ * @param {Number} bytes - Number of bytes sent or received
+ */
+Transfer.prototype.addBytes = function(bytes) {
+  this.bytesTransferred += bytes;
+  this.emit('progress', this.getStatus());
+};
+
+/**
+ * Marks a shard as transferred
+ * @param {Number} index - Index of the shard in the file
+ * @param {Object} farmer - Contact of the farmer
+ */
+Transfer.prototype.completeShard = function(index, farmer) {
+  this.shardsCompleted++;
+  this.emit('shard-complete', index, farmer);
+  this._checkFinished();
+};
+
+/**
+ * Sets the totals once they are known, for transfers of streams whose
+ * length could not be determined up front
+ * @param {Number} totalBytes - Number of bytes to be transferred
+ * @param {Number} totalShards - Number of shards to be transferred
+ */
+Transfer.prototype.setTotals = function(totalBytes, totalShards) {
+  this.totalBytes = totalBytes;
+  this.totalShards = totalShards;
+  this.emit('progress', this.getStatus());
+  this._checkFinished();
+};
+
+/**
+ * Emits the finish event once every shard has been transferred
+ * @private
+ */
+Transfer.prototype._checkFinished = function() {
+  if (this.finished || !this.totalShards ||
+      this.shardsCompleted !== this.totalShards) {
+    return;
+  }
+
+  this.finished = true;
+  this.emit('finish', this.getStatus());
+};
+
+/**
+ * Settles the transfer successfully
+ * @param {*} result - Value to fulfill the transfer with
+ */
+Transfer.prototype.resolve = function(result) {
+  if (this.settled) {
+    return;
+  }
+
+  this.settled = true;
+  this._resolvePromise(result);
+};
+
+/**
+ * Settles the transfer as failed, or reports the failure as an error event
+ * if the transfer had already been fulfilled (as downloads are, once their
+ * stream is available)
+ * @param {Error} error - The reason the transfer failed
+ */
+Transfer.prototype.reject = function(err) {
+  if (this.failed) {
+    return;
+  }
+
+  this.failed = true;
+  this.settled = true;
+
+  if (this.listenerCount('error')) {
+    this.emit('error', err);
+  }
+
+  this._rejectPromise(err);
+};
+
+/**
+ * Attaches callbacks for when the transfer settles
+ * @param {Function} onFulfilled - Called with the transfer result
+ * @param {Function} onRejected - Called with the reason it failed
+ * @returns {Promise}
+ */
+Transfer.prototype.then = function(onFulfilled, onRejected) {
+  return this._promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Attaches a callback for when the transfer fails
+ * @param {Function} onRejected - Called with the reason it failed
+ * @returns {Promise}
+ */
+Transfer.prototype.catch = function(onRejected) {
+  return this._promise.catch(onRejected);
+};
+
+module.exports = Transfer;
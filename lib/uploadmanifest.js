@@ -0,0 +1,117 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+
+/**
+ * Persists the progress of a file upload to disk so that an interrupted
+ * upload can be resumed with {@link Client#resumeFileUpload}
+ * @constructor
+ * @param {String} filePath - Path to store the manifest file
+ */
+function UploadManifest(filePath) {
+  if (!(this instanceof UploadManifest)) {
+    return new UploadManifest(filePath);
+  }
+
+  assert(typeof filePath === 'string', 'Invalid path supplied to manifest');
+
+  this._path = filePath;
+  this._data = this._loadManifestFromDisk();
+}
+
+/**
+ * Returns the stored value for the given key
+ * @param {String} key - Name of the property to load
+ * @returns {*}
+ */
+UploadManifest.prototype.get = function(key) {
+  return this._data[key];
+};
+
+/**
+ * Stores a value under the given key and saves the manifest
+ * @param {String} key - Name of the property to set
+ * @param {*} value - JSON serializable value
+ */
+UploadManifest.prototype.set = function(key, value) {
+  this._data[key] = value;
+  this._saveManifestToDisk();
+
+  return value;
+};
+
+/**
+ * Returns the tracked metadata for the shard at the given index
+ * @param {Number} index - Index of the shard in the file
+ * @returns {Object|null}
+ */
+UploadManifest.prototype.getShard = function(index) {
+  return this._data.shards[index] || null;
+};
+
+/**
+ * Merges the given metadata into the shard entry and saves the manifest
+ * @param {Number} index - Index of the shard in the file
+ * @param {Object} props - Shard metadata (hash, size, tmpName, transferred)
+ * @returns {Object}
+ */
+UploadManifest.prototype.setShard = function(index, props) {
+  var shard = this._data.shards[index] || { index: index };
+
+  Object.keys(props).forEach(function(key) {
+    shard[key] = props[key];
+  });
+
+  this._data.shards[index] = shard;
+  this._saveManifestToDisk();
+
+  return shard;
+};
+
+/**
+ * Returns all of the tracked shard entries
+ * @returns {Array}
+ */
+UploadManifest.prototype.getShards = function() {
+  var shards = this._data.shards;
+
+  return Object.keys(shards).map(function(index) {
+    return shards[index];
+  });
+};
+
+/**
+ * Removes the manifest file from disk
+ */
+UploadManifest.prototype.destroy = function() {
+  if (fs.existsSync(this._path)) {
+    fs.unlinkSync(this._path);
+  }
+};
+
+/**
+ * Loads the manifest file or returns an empty manifest
+ * @private
+ */
+UploadManifest.prototype._loadManifestFromDisk = function() {
+  if (!fs.existsSync(this._path)) {
+    return { created: Date.now(), shards: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(this._path).toString());
+};
+
+/**
+ * Saves the manifest file to disk, replacing it atomically so that an
+ * interruption never leaves a partially written manifest behind
+ * @private
+ */
+UploadManifest.prototype._saveManifestToDisk = function() {
+  var tmpPath = this._path + '.tmp';
+
+  fs.writeFileSync(tmpPath, JSON.stringify(this._data));
+  fs.renameSync(tmpPath, this._path);
+};
+
+module.exports = UploadManifest;
@@ -0,0 +1,131 @@
+'use strict';
+
+var fs = require('fs');
+var async = require('async');
+
+/**
+ * Internal state machine used by {@link Client#storeFileInBucket}
+ * @constructor
+ * @private
+ * @param {Object} options
+ * @param {String} options.bucket - Bucket ID for the upload
+ * @param {String} options.file - Path to the file being uploaded, if any
+ * @param {String} options.filename - Name to store the file as
+ * @param {String} options.mimetype - Type to store the file as
+ * @param {Boolean} options.encryptMetadata - Encrypt the name, type and
+ * metadata of the file
+ * @param {Object} options.metadata - User metadata to store with the file
+ * @param {Number} options.redundancy - Number of farmers to store each shard
+ * with
+ * @param {UploadManifest} options.manifest - Optional progress manifest
+ * @param {Transfer} options.transfer - Handle to report progress to
+ * @param {Number|null} options.numShards - Total number of shards to
+ * transfer, or null until the end of a stream of unknown length
+ * @param {Number} options.concurrency - Maximum concurrent shard transfers
+ * @param {Function} options.worker - Processes a single shard task
+ * @param {Function} options.onComplete - Called once with error or result
+ */
+function UploadState(options) {
+  if (!(this instanceof UploadState)) {
+    return new UploadState(options);
+  }
+
+  this.bucket = options.bucket;
+  this.file = options.file;
+  this.filename = options.filename;
+  this.mimetype = options.mimetype;
+  this.encryptMetadata = !!options.encryptMetadata;
+  this.metadata = options.metadata || null;
+  this.redundancy = options.redundancy || 1;
+  this.manifest = options.manifest || null;
+  this.keyiv = null;
+  this.transfer = options.transfer;
+  this.frame = null;
+  this.numShards = options.numShards;
+  this.completed = 0;
+  this.killed = false;
+  this.finalized = false;
+  this.demuxer = null;
+  this.spooled = 0;
+  this.concurrency = options.concurrency;
+  this.cleanQueue = [];
+  this.queue = async.queue(options.worker, options.concurrency);
+  this._callback = options.onComplete;
+}
+
+/**
+ * Unlinks the referenced tmp files
+ */
+UploadState.prototype.cleanup = function() {
+  this.cleanQueue.forEach(function(tmpFilePath) {
+    if (fs.existsSync(tmpFilePath)) {
+      fs.unlinkSync(tmpFilePath);
+    }
+  });
+};
+
+/**
+ * Counts a shard that is on disk awaiting transfer, pausing the source once
+ * more shards are spooled than can be transferred at a time
+ */
+UploadState.prototype.holdShard = function() {
+  this.spooled++;
+
+  if (this.demuxer && this.spooled > this.concurrency) {
+    this.demuxer.pause();
+  }
+};
+
+/**
+ * Counts a shard as no longer on disk and resumes reading the source if it
+ * was paused
+ */
+UploadState.prototype.releaseShard = function() {
+  this.spooled--;
+
+  if (this.demuxer && !this.killed && this.spooled <= this.concurrency) {
+    this.demuxer.resume();
+  }
+};
+
+/**
+ * Returns a boolean indicating if the shard at the given index was already
+ * transferred and added to the staging frame by an earlier attempt
+ * @param {Number} index - Index of the shard in the file
+ * @returns {Boolean}
+ */
+UploadState.prototype.isShardStaged = function(index) {
+  var tracked = this.manifest ? this.manifest.getShard(index) : null;
+
+  if (!tracked || !tracked.transferred || !this.frame) {
+    return false;
+  }
+
+  return (this.frame.shards || []).some(function(shard) {
+    return shard.index === index && shard.hash === tracked.hash;
+  });
+};
+
+/**
+ * Stops any queued transfers, cleans up and calls the completion handler
+ * exactly once
+ * @param {Error|null} err - The reason the upload failed, if it did
+ * @param {Object} result - The created bucket entry
+ */
+UploadState.prototype.finish = function(err, result) {
+  if (this.killed) {
+    return;
+  }
+
+  this.killed = true;
+  this.queue.kill();
+
+  if (this.demuxer) {
+    this.demuxer.pause();
+  }
+
+  this.cleanup();
+  this._callback(err, result);
+};
+
+module.exports = UploadState;
@@ -0,0 +1,100 @@
+'use strict';
+
+var http = require('http');
+var expect = require('chai').expect;
+var Client = require('../lib/client');
+var errors = require('../lib/errors');
+
+describe('Client', function() {
+
+  describe('#_request', function() {
+
+    var server, url, requests;
+
+    beforeEach(function(done) {
+      requests = [];
+      server = http.createServer(function(req, res) {
+        requests.push(req.method + ' ' + req.url.split('?')[0]);
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Service unavailable' }));
+      });
+      server.listen(0, '127.0.0.1', function() {
+        url = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    it('should retry idempotent requests that fail', function() {
+      var client = new Client(url, {
+        requestRetries: 2,
+        requestRetryDelay: 1
+      });
+
+      return client.getBuckets().then(function() {
+        throw new Error('Expected the request to fail');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.BridgeError);
+        expect(requests).to.deep.equal([
+          'GET /buckets',
+          'GET /buckets',
+          'GET /buckets'
+        ]);
+      });
+    });
+
+    it('should not retry adding a shard to a frame', function() {
+      var client = new Client(url, {
+        requestRetries: 2,
+        requestRetryDelay: 1
+      });
+
+      return client.addShardToFileStagingFrame('frame', {
+        hash: 'hash',
+        size: 1,
+        index: 0
+      }).then(function() {
+        throw new Error('Expected the request to fail');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.BridgeError);
+        expect(requests).to.deep.equal(['PUT /frames/frame']);
+      });
+    });
+
+  });
+
+  describe('._isRetryable', function() {
+
+    it('should not retry non idempotent methods', function() {
+      expect(Client._isRetryable('POST', '/buckets', null, {
+        statusCode: 503
+      })).to.equal(false);
+    });
+
+    it('should retry idempotent methods on transient errors', function() {
+      expect(Client._isRetryable('PUT', '/buckets/id', null, {
+        statusCode: 503
+      })).to.equal(true);
+      expect(Client._isRetryable('GET', '/buckets', {
+        code: 'ECONNRESET'
+      })).to.equal(true);
+    });
+
+    it('should not retry excluded requests', function() {
+      expect(Client._isRetryable('PUT', '/frames/id', null, {
+        statusCode: 503
+      })).to.equal(false);
+    });
+
+    it('should not retry client errors', function() {
+      expect(Client._isRetryable('GET', '/buckets', null, {
+        statusCode: 404
+      })).to.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var bridge = require('..');
+var Client = bridge.Client;
+var KeyPair = bridge.KeyPair;
+var SyncState = bridge.SyncState;
+var DirectorySync = bridge.DirectorySync;
+var MockBridge = bridge.testing.MockBridge;
+
+function removeDirectory(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    var fullpath = path.join(dir, name);
+
+    if (fs.lstatSync(fullpath).isDirectory()) {
+      return removeDirectory(fullpath);
+    }
+
+    fs.unlinkSync(fullpath);
+  });
+  fs.rmdirSync(dir);
+}
+
+describe('DirectorySync (integration)', function() {
+
+  var mockBridge, client, bucket, tmpdir, directory, statePath;
+
+  beforeEach(function(done) {
+    var keypair = new KeyPair();
+
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'storjsync-'));
+    directory = path.join(tmpdir, 'dir');
+    statePath = path.join(tmpdir, 'state.json');
+    fs.mkdirSync(directory);
+    fs.mkdirSync(path.join(directory, 'sub'));
+    ['a.txt', 'sub/b.log'].forEach(function(relpath) {
+      fs.writeFileSync(path.join(directory, relpath), crypto.randomBytes(100));
+    });
+
+    mockBridge = new MockBridge();
+    mockBridge.listen(function(url) {
+      mockBridge.addUser('test@storj.io', 'password');
+      mockBridge.addPublicKey('test@storj.io', keypair.getPublicKey());
+      client = new Client(url, {
+        keypair: keypair,
+        createDataChannel: mockBridge.createDataChannel,
+        requestRetries: 0
+      });
+      client.createBucket({ name: 'test' }).then(function(result) {
+        bucket = result;
+        done();
+      }, done);
+    });
+  });
+
+  afterEach(function(done) {
+    removeDirectory(tmpdir);
+    mockBridge.close(done);
+  });
+
+  function listNames() {
+    return client.listFilesInBucket(bucket.id).then(function(files) {
+      return files.map(function(file) {
+        return file.filename;
+      }).sort();
+    });
+  }
+
+  describe('#syncDirectory', function() {
+
+    it('should upload every file on the first sync', function() {
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath
+      }).then(function(summary) {
+        expect(summary.added).to.deep.equal(['a.txt', 'sub/b.log']);
+        expect(summary.bytes).to.equal(200);
+        expect(new SyncState(statePath).getBucket()).to.equal(bucket.id);
+        return listNames();
+      }).then(function(names) {
+        expect(names).to.deep.equal(['a.txt', 'sub/b.log']);
+      });
+    });
+
+    it('should only upload new or changed files', function() {
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath
+      }).then(function() {
+        fs.writeFileSync(path.join(directory, 'a.txt'), 'changed');
+        fs.writeFileSync(path.join(directory, 'c.txt'), 'new');
+        return client.syncDirectory(bucket.id, directory, {
+          state: statePath
+        });
+      }).then(function(summary) {
+        expect(summary.added).to.deep.equal(['c.txt']);
+        expect(summary.updated).to.deep.equal(['a.txt']);
+        expect(summary.unchanged).to.equal(1);
+        return listNames();
+      }).then(function(names) {
+        expect(names).to.deep.equal(['a.txt', 'c.txt', 'sub/b.log']);
+      });
+    });
+
+    it('should remove files whose local source is gone', function() {
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath
+      }).then(function() {
+        fs.unlinkSync(path.join(directory, 'a.txt'));
+        return client.syncDirectory(bucket.id, directory, {
+          state: statePath,
+          remove: true
+        });
+      }).then(function(summary) {
+        expect(summary.removed).to.deep.equal(['a.txt']);
+        expect(new SyncState(statePath).getPaths()).to.deep.equal([
+          'sub/b.log'
+        ]);
+        return listNames();
+      }).then(function(names) {
+        expect(names).to.deep.equal(['sub/b.log']);
+      });
+    });
+
+    it('should apply the globs and upload nothing on a dry run', function() {
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath,
+        exclude: ['*.log'],
+        dryRun: true
+      }).then(function(summary) {
+        expect(summary.added).to.deep.equal(['a.txt']);
+        expect(fs.existsSync(statePath)).to.equal(false);
+        return listNames();
+      }).then(function(names) {
+        expect(names).to.deep.equal([]);
+      });
+    });
+
+    it('should keep the state in the directory without options', function() {
+      return client.syncDirectory(bucket.id, directory).then(function(summary) {
+        expect(summary.added).to.deep.equal(['a.txt', 'sub/b.log']);
+        expect(fs.existsSync(
+          path.join(directory, DirectorySync.STATE_FILE)
+        )).to.equal(true);
+        return client.syncDirectory(bucket.id, directory);
+      }).then(function(summary) {
+        expect(summary.added).to.deep.equal([]);
+        expect(summary.unchanged).to.equal(2);
+      });
+    });
+
+    it('should skip empty files instead of failing them', function() {
+      fs.writeFileSync(path.join(directory, 'empty.txt'), '');
+
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath
+      }).then(function(summary) {
+        expect(summary.added).to.deep.equal(['a.txt', 'sub/b.log']);
+        expect(summary.skipped).to.deep.equal(['empty.txt']);
+        expect(summary.failed).to.deep.equal([]);
+        return client.syncDirectory(bucket.id, directory, {
+          state: statePath
+        });
+      }).then(function(summary) {
+        expect(summary.unchanged).to.equal(2);
+        expect(summary.skipped).to.deep.equal(['empty.txt']);
+        expect(summary.failed).to.deep.equal([]);
+      });
+    });
+
+    it('should report an old version it could not remove', function() {
+      var oldId;
+
+      return client.syncDirectory(bucket.id, directory, {
+        state: statePath
+      }).then(function() {
+        oldId = new SyncState(statePath).get('a.txt').id;
+        fs.writeFileSync(path.join(directory, 'a.txt'), 'changed');
+        client.removeFileFromBucket = function() {
+          return Promise.reject(new Error('Bridge is down'));
+        };
+        return client.syncDirectory(bucket.id, directory, {
+          state: statePath
+        });
+      }).then(function(summary) {
+        expect(summary.updated).to.deep.equal(['a.txt']);
+        expect(summary.failed).to.deep.equal([]);
+        expect(summary.unremoved).to.deep.equal([
+          { path: 'a.txt', id: oldId, error: 'Bridge is down' }
+        ]);
+        expect(new SyncState(statePath).get('a.txt').id).to.not.equal(oldId);
+      });
+    });
+
+    it('should reject if the directory is synced to another bucket',
+       function() {
+      var state = new SyncState(statePath);
+
+      state.setBucket('otherbucket');
+
+      return client.syncDirectory(bucket.id, directory, {
+        state: state
+      }).then(function() {
+        throw new Error('Expected the sync to fail');
+      }, function(err) {
+        expect(err.message).to.equal(
+          'Directory is already synced to bucket otherbucket'
+        );
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var crypto = require('crypto');
+var expect = require('chai').expect;
+var metadataCipher = require('../lib/metadatacipher');
+
+describe('metadataCipher', function() {
+
+  var key = crypto.randomBytes(32);
+  var info = {
+    filename: 'photos/cat.jpg',
+    mimetype: 'image/jpeg',
+    metadata: { mtime: 1 }
+  };
+
+  describe('#encrypt', function() {
+
+    it('should produce a URL safe name that hides the metadata', function() {
+      var filename = metadataCipher.encrypt(key, info);
+
+      expect(metadataCipher.isEncrypted(filename)).to.equal(true);
+      expect(filename).to.match(/^storj-meta:[A-Za-z0-9_-]+$/);
+      expect(filename).to.not.contain('cat');
+    });
+
+    it('should not produce the same name twice', function() {
+      expect(metadataCipher.encrypt(key, info)).to.not.equal(
+        metadataCipher.encrypt(key, info)
+      );
+    });
+
+  });
+
+  describe('#decrypt', function() {
+
+    it('should return the encrypted metadata', function() {
+      expect(metadataCipher.decrypt(
+        key,
+        metadataCipher.encrypt(key, info)
+      )).to.deep.equal(info);
+    });
+
+    it('should return null with the wrong key', function() {
+      expect(metadataCipher.decrypt(
+        crypto.randomBytes(32),
+        metadataCipher.encrypt(key, info)
+      )).to.equal(null);
+    });
+
+    it('should return null if the name was tampered with', function() {
+      var filename = metadataCipher.encrypt(key, info);
+      var middle = Math.floor(filename.length / 2);
+      var replaced = filename[middle] === 'A' ? 'B' : 'A';
+
+      expect(metadataCipher.decrypt(
+        key,
+        filename.substr(0, middle) + replaced + filename.substr(middle + 1)
+      )).to.equal(null);
+    });
+
+  });
+
+  describe('#isEncrypted', function() {
+
+    it('should not match plain names', function() {
+      expect(metadataCipher.isEncrypted('cat.jpg')).to.equal(false);
+      expect(metadataCipher.isEncrypted(undefined)).to.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,456 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var expect = require('chai').expect;
+var bridge = require('..');
+var Client = bridge.Client;
+var KeyPair = bridge.KeyPair;
+var UploadManifest = bridge.UploadManifest;
+var MemoryKeyStore = bridge.MemoryKeyStore;
+var keyderivation = bridge.keyderivation;
+var MockBridge = bridge.testing.MockBridge;
+var errors = bridge.errors;
+
+function readStream(readable) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+
+    readable.on('data', function(chunk) {
+      chunks.push(chunk);
+    }).on('error', reject).on('end', function() {
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+describe('MockBridge (integration)', function() {
+
+  var mockBridge, keypair, client, bucket;
+
+  beforeEach(function(done) {
+    mockBridge = new MockBridge();
+    keypair = new KeyPair();
+    mockBridge.listen(function(url) {
+      mockBridge.addUser('test@storj.io', 'password');
+      mockBridge.addPublicKey('test@storj.io', keypair.getPublicKey());
+      client = new Client(url, {
+        keypair: keypair,
+        createDataChannel: mockBridge.createDataChannel,
+        requestRetries: 0,
+        transferRetries: 2
+      });
+      client.createBucket({ name: 'test' }).then(function(result) {
+        bucket = result;
+        done();
+      }, done);
+    });
+  });
+
+  afterEach(function(done) {
+    mockBridge.close(done);
+  });
+
+  function storeFile(data, options) {
+    return client.createToken(bucket.id, 'PUSH').then(function(token) {
+      return client.storeFileInBucket(bucket.id, token.token, data, options);
+    });
+  }
+
+  function getPointers(file) {
+    return client.createToken(bucket.id, 'PULL').then(function(token) {
+      return client.getFilePointer(bucket.id, token.token, file.id);
+    });
+  }
+
+  describe('#storeFileInBucket/#resolveFileFromPointers', function() {
+
+    it('should round trip a file through the farmers', function() {
+      var data = crypto.randomBytes(100000);
+
+      return storeFile(data, { filename: 'test.bin' }).then(function(file) {
+        expect(file.filename).to.equal('test.bin');
+        expect(file.size).to.equal(data.length);
+        return getPointers(file);
+      }).then(function(pointers) {
+        expect(pointers).to.have.length.above(0);
+        return client.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function(result) {
+        expect(result.equals(data)).to.equal(true);
+      });
+    });
+
+    it('should store shards with another farmer if one is offline', function() {
+      var data = crypto.randomBytes(100000);
+      var retries = [];
+      var transfer;
+
+      mockBridge.farmers[0].offline = true;
+
+      return client.createToken(bucket.id, 'PUSH').then(function(token) {
+        transfer = client.storeFileInBucket(bucket.id, token.token, data, {
+          filename: 'test.bin'
+        });
+        transfer.on('retry', function(index, farmer) {
+          retries.push(farmer.nodeID);
+        });
+
+        return transfer;
+      }).then(function(file) {
+        expect(retries).to.have.length.above(0);
+        retries.forEach(function(nodeID) {
+          expect(nodeID).to.equal(mockBridge.farmers[0].nodeID);
+        });
+        expect(mockBridge.farmers[0].shards).to.deep.equal({});
+        mockBridge.farmers[0].offline = false;
+        return getPointers(file);
+      }).then(function(pointers) {
+        return client.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function(result) {
+        expect(result.equals(data)).to.equal(true);
+      });
+    });
+
+    it('should reject with a TransferError if a farmer is offline', function() {
+      var data = crypto.randomBytes(1000);
+      var file;
+
+      return storeFile(data, { filename: 'test.bin' }).then(function(result) {
+        file = result;
+        return getPointers(file);
+      }).then(function(pointers) {
+        mockBridge.farmers.forEach(function(farmer) {
+          farmer.offline = true;
+        });
+
+        return client.resolveFileFromPointers(pointers, {
+          bucket: bucket.id,
+          file: file.id
+        });
+      }).then(function() {
+        throw new Error('Expected the download to fail');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.TransferError);
+        expect(err.shard).to.equal(0);
+      });
+    });
+
+    it('should fail with an IntegrityError if a farmer is corrupt', function() {
+      var data = crypto.randomBytes(1000);
+
+      return storeFile(data, { filename: 'test.bin' }).then(function(file) {
+        return getPointers(file);
+      }).then(function(pointers) {
+        mockBridge.farmers.forEach(function(farmer) {
+          Object.keys(farmer.shards).forEach(function(hash) {
+            farmer.shards[hash] = crypto.randomBytes(
+              farmer.shards[hash].length
+            );
+          });
+        });
+
+        return client.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function() {
+        throw new Error('Expected the download to fail');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.IntegrityError);
+        expect(err.message).to.equal('Shard hash does not match pointer');
+      });
+    });
+
+    it('should keep the IntegrityError if no other farmer has the shard',
+       function() {
+      var data = crypto.randomBytes(1000);
+      var retries = 0;
+      var file;
+
+      return storeFile(data, { filename: 'test.bin' }).then(function(result) {
+        file = result;
+        return getPointers(file);
+      }).then(function(pointers) {
+        var download;
+
+        mockBridge.farmers.forEach(function(farmer) {
+          Object.keys(farmer.shards).forEach(function(hash) {
+            farmer.shards[hash] = crypto.randomBytes(
+              farmer.shards[hash].length
+            );
+          });
+        });
+
+        download = client.resolveFileFromPointers(pointers, {
+          bucket: bucket.id,
+          file: file.id
+        });
+        download.on('retry', function() {
+          retries++;
+        });
+
+        return download;
+      }).then(readStream).then(function() {
+        throw new Error('Expected the download to fail');
+      }, function(err) {
+        expect(retries).to.equal(1);
+        expect(err).to.be.instanceOf(errors.IntegrityError);
+        expect(err.shard).to.equal(0);
+      });
+    });
+
+    it('should close the channel of a farmer that stops sending', function() {
+      var data = crypto.randomBytes(1000);
+      var channels = [];
+      var stalled = new Client(mockBridge.url, {
+        keypair: keypair,
+        requestRetries: 0,
+        idleTimeout: 50,
+        createDataChannel: function(contact) {
+          var dcx = mockBridge.createDataChannel(contact);
+
+          dcx.createReadStream = function() {
+            return new stream.Readable({ read: function() {} });
+          };
+          channels.push(dcx);
+
+          return dcx;
+        }
+      });
+
+      return storeFile(data, { filename: 'test.bin' }).then(function(file) {
+        return getPointers(file);
+      }).then(function(pointers) {
+        return stalled.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function() {
+        throw new Error('Expected the download to fail');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.TransferError);
+        expect(err.cause.message).to.equal('Farmer stopped sending data');
+        expect(channels).to.have.lengthOf(1);
+        expect(channels[0].closed).to.equal(true);
+      });
+    });
+
+  });
+
+  describe('metadata encryption', function() {
+
+    function createClient(options) {
+      options.keypair = keypair;
+      options.createDataChannel = mockBridge.createDataChannel;
+      options.requestRetries = 0;
+
+      return new Client(mockBridge.url, options);
+    }
+
+    function storeSecret(owner) {
+      var data = Buffer.from('secret');
+
+      return owner.createToken(bucket.id, 'PUSH').then(function(token) {
+        return owner.storeFileInBucket(bucket.id, token.token, data, {
+          filename: 'secret.txt',
+          mimetype: 'text/plain',
+          metadata: { tags: ['a'] },
+          encryptMetadata: true
+        });
+      });
+    }
+
+    it('should store only an opaque name with the bridge', function() {
+      var owner = createClient({ masterSeed: keyderivation.generateSeed() });
+
+      return storeSecret(owner).then(function(file) {
+        expect(file.filename).to.equal('secret.txt');
+        expect(file.mimetype).to.equal('text/plain');
+        expect(file.metadata).to.deep.equal({ tags: ['a'] });
+        return owner.listFilesInBucket(bucket.id);
+      }).then(function(files) {
+        expect(files).to.have.lengthOf(1);
+        expect(Client.hasEncryptedMetadata(files[0])).to.equal(true);
+        expect(files[0].filename).to.not.contain('secret');
+        expect(files[0].mimetype).to.not.equal('text/plain');
+      });
+    });
+
+    it('should decrypt the metadata with the master seed', function() {
+      var seed = keyderivation.generateSeed();
+
+      return storeSecret(createClient({ masterSeed: seed })).then(function() {
+        return client.listFilesInBucket(bucket.id);
+      }).then(function(files) {
+        return createClient({ masterSeed: seed }).decryptFileMetadata(
+          bucket.id,
+          files
+        );
+      }).then(function(files) {
+        expect(files[0].filename).to.equal('secret.txt');
+        expect(files[0].metadata).to.deep.equal({ tags: ['a'] });
+      });
+    });
+
+    it('should decrypt the metadata with the key store', function() {
+      var owner = createClient({ keyStore: new MemoryKeyStore() });
+      var stranger = createClient({ keyStore: new MemoryKeyStore() });
+      var files;
+
+      return storeSecret(owner).then(function() {
+        return client.listFilesInBucket(bucket.id);
+      }).then(function(result) {
+        files = result;
+        return owner.decryptFileMetadata(bucket.id, files);
+      }).then(function(decrypted) {
+        expect(decrypted[0].filename).to.equal('secret.txt');
+        return stranger.decryptFileMetadata(bucket.id, files);
+      }).then(function(decrypted) {
+        expect(decrypted[0]).to.equal(files[0]);
+      });
+    });
+
+    it('should reject without a key store or master seed', function() {
+      return storeSecret(client).then(function() {
+        throw new Error('Expected the upload to fail');
+      }, function(err) {
+        expect(err.message).to.equal(
+          'A key store is required to encrypt metadata'
+        );
+      });
+    });
+
+  });
+
+  describe('redundancy', function() {
+
+    var tmpdir;
+
+    beforeEach(function() {
+      tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'redundancy-'));
+    });
+
+    afterEach(function() {
+      fs.readdirSync(tmpdir).forEach(function(name) {
+        fs.unlinkSync(path.join(tmpdir, name));
+      });
+      fs.rmdirSync(tmpdir);
+    });
+
+    it('should read a shard from a mirror if its farmer is offline',
+       function() {
+      var data = crypto.randomBytes(1000);
+      var upload;
+
+      return client.createToken(bucket.id, 'PUSH').then(function(token) {
+        upload = client.storeFileInBucket(bucket.id, token.token, data, {
+          filename: 'test.bin',
+          redundancy: 2
+        });
+
+        return upload;
+      }).then(function(file) {
+        var holders = mockBridge.farmers.filter(function(farmer) {
+          return Object.keys(farmer.shards).length > 0;
+        });
+
+        expect(upload.totalBytes).to.equal(data.length * 2);
+        expect(holders).to.have.lengthOf(2);
+        holders[0].offline = true;
+        return getPointers(file);
+      }).then(function(pointers) {
+        return client.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function(result) {
+        expect(result.equals(data)).to.equal(true);
+      });
+    });
+
+    it('should resume an upload stored with redundancy', function() {
+      var filePath = path.join(tmpdir, 'test.bin');
+      var manifest = new UploadManifest(path.join(tmpdir, 'manifest.json'));
+      var data = crypto.randomBytes(1000);
+
+      fs.writeFileSync(filePath, data);
+      mockBridge.farmers.forEach(function(farmer) {
+        farmer.offline = true;
+      });
+
+      return storeFile(filePath, {
+        manifest: manifest,
+        redundancy: 2
+      }).then(function() {
+        throw new Error('Expected the upload to fail');
+      }, function() {
+        expect(manifest.get('size')).to.equal(data.length);
+        expect(manifest.get('redundancy')).to.equal(2);
+        mockBridge.farmers.forEach(function(farmer) {
+          farmer.offline = false;
+        });
+
+        return client.createToken(bucket.id, 'PUSH');
+      }).then(function(token) {
+        return client.resumeFileUpload(token.token, manifest);
+      }).then(function(file) {
+        return getPointers(file);
+      }).then(function(pointers) {
+        return client.resolveFileFromPointers(pointers);
+      }).then(readStream).then(function(result) {
+        expect(result.equals(data)).to.equal(true);
+      });
+    });
+
+  });
+
+  describe('authentication', function() {
+
+    it('should accept requests signed with a registered key', function() {
+      return client.getBuckets().then(function(buckets) {
+        expect(buckets).to.have.lengthOf(1);
+        expect(buckets[0].id).to.equal(bucket.id);
+      });
+    });
+
+    it('should reject requests with a bad signature', function() {
+      var forger = new KeyPair();
+      var forged = new Client(mockBridge.url, {
+        keypair: {
+          getPublicKey: keypair.getPublicKey.bind(keypair),
+          sign: forger.sign.bind(forger)
+        },
+        requestRetries: 0
+      });
+
+      return forged.getBuckets().then(function() {
+        throw new Error('Expected the request to be rejected');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.AuthenticationError);
+        expect(err.message).to.equal('Invalid signature');
+      });
+    });
+
+    it('should reject requests signed with an unknown key', function() {
+      var stranger = new Client(mockBridge.url, {
+        keypair: new KeyPair(),
+        requestRetries: 0
+      });
+
+      return stranger.getBuckets().then(function() {
+        throw new Error('Expected the request to be rejected');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.AuthenticationError);
+      });
+    });
+
+    it('should reject basic auth with the wrong password', function() {
+      var basic = new Client(mockBridge.url, {
+        basicauth: { email: 'test@storj.io', password: 'wrong' },
+        requestRetries: 0
+      });
+
+      return basic.getBuckets().then(function() {
+        throw new Error('Expected the request to be rejected');
+      }, function(err) {
+        expect(err).to.be.instanceOf(errors.AuthenticationError);
+      });
+    });
+
+  });
+
+});
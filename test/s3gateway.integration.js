@@ -0,0 +1,222 @@
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var url = require('url');
+var expect = require('chai').expect;
+var bridge = require('..');
+var Client = bridge.Client;
+var KeyPair = bridge.KeyPair;
+var S3Gateway = bridge.S3Gateway;
+var MockBridge = bridge.testing.MockBridge;
+var keyderivation = bridge.keyderivation;
+
+function send(gatewayUrl, method, path, body, headers) {
+  return new Promise(function(resolve, reject) {
+    var options = url.parse(gatewayUrl + path);
+    var req;
+
+    options.method = method;
+    options.headers = headers || {};
+
+    if (body && !options.headers['Transfer-Encoding']) {
+      options.headers['Content-Length'] = body.length;
+    }
+
+    req = http.request(options, function(res) {
+      var chunks = [];
+
+      res.on('data', function(chunk) {
+        chunks.push(chunk);
+      }).on('error', reject).on('end', function() {
+        res.body = Buffer.concat(chunks);
+        resolve(res);
+      });
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('S3Gateway (integration)', function() {
+
+  var mockBridge, client, bucket, gateway, gatewayUrl;
+
+  beforeEach(function(done) {
+    var keypair = new KeyPair();
+
+    mockBridge = new MockBridge();
+    mockBridge.listen(function(bridgeUrl) {
+      mockBridge.addUser('test@storj.io', 'password');
+      mockBridge.addPublicKey('test@storj.io', keypair.getPublicKey());
+      client = new Client(bridgeUrl, {
+        keypair: keypair,
+        masterSeed: keyderivation.generateSeed(),
+        createDataChannel: mockBridge.createDataChannel,
+        requestRetries: 0
+      });
+      client.createBucket({ name: 'test' }).then(function(result) {
+        bucket = result;
+        gateway = new S3Gateway(client);
+        gateway.listen(0, '127.0.0.1', function(err, result) {
+          gatewayUrl = result;
+          done(err);
+        });
+      }, done);
+    });
+  });
+
+  afterEach(function(done) {
+    gateway.close(function() {
+      mockBridge.close(done);
+    });
+  });
+
+  describe('#_handleRequest', function() {
+
+    it('should answer InvalidURI to a malformed escape', function() {
+      return send(gatewayUrl, 'GET', '/test/%E0%A4%A').then(function(res) {
+        expect(res.statusCode).to.equal(400);
+        expect(res.body.toString()).to.contain('<Code>InvalidURI</Code>');
+        return send(gatewayUrl, 'GET', '/test');
+      }).then(function(res) {
+        expect(res.statusCode).to.equal(200);
+      });
+    });
+
+  });
+
+  describe('#_putObject', function() {
+
+    it('should report the same ETag for every operation', function() {
+      var data = crypto.randomBytes(1000);
+      var etag;
+
+      return send(gatewayUrl, 'PUT', '/test/dir/a.bin', data).then(
+        function(res) {
+          expect(res.statusCode).to.equal(200);
+          etag = res.headers.etag;
+          return send(gatewayUrl, 'GET', '/test/dir/a.bin');
+        }
+      ).then(function(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers.etag).to.equal(etag);
+        expect(res.body.equals(data)).to.equal(true);
+        return send(gatewayUrl, 'HEAD', '/test/dir/a.bin');
+      }).then(function(res) {
+        expect(res.headers.etag).to.equal(etag);
+        return send(gatewayUrl, 'GET', '/test?list-type=2');
+      }).then(function(res) {
+        expect(res.body.toString()).to.contain(
+          '<Key>dir/a.bin</Key>'
+        ).and.to.contain(
+          '<ETag>' + etag.replace(/"/g, '&quot;') + '</ETag>'
+        );
+      });
+    });
+
+    it('should reject an empty body with EntityTooSmall', function() {
+      return send(gatewayUrl, 'PUT', '/test/empty', Buffer.alloc(0)).then(
+        function(res) {
+          expect(res.statusCode).to.equal(400);
+          expect(res.body.toString()).to.contain(
+            '<Code>EntityTooSmall</Code>'
+          );
+        }
+      );
+    });
+
+    it('should reject a body without a declared length', function() {
+      return send(gatewayUrl, 'PUT', '/test/a.bin', Buffer.from('data'), {
+        'Transfer-Encoding': 'chunked'
+      }).then(function(res) {
+        expect(res.statusCode).to.equal(411);
+        expect(res.body.toString()).to.contain(
+          '<Code>MissingContentLength</Code>'
+        );
+      });
+    });
+
+    it('should fail the upload if the request is aborted', function() {
+      var storeFileInBucket = client.storeFileInBucket;
+      var options = url.parse(gatewayUrl + '/test/a.bin');
+      var req;
+      var upload = new Promise(function(resolve, reject) {
+        client.storeFileInBucket = function() {
+          var transfer = storeFileInBucket.apply(client, arguments);
+
+          transfer.then(resolve, reject);
+          req.destroy();
+
+          return transfer;
+        };
+      });
+
+      options.method = 'PUT';
+      options.headers = { 'Content-Length': 100000 };
+      req = http.request(options);
+      req.on('error', function() {});
+      req.write(crypto.randomBytes(1000));
+
+      return upload.then(function() {
+        throw new Error('Expected the upload to fail');
+      }, function(err) {
+        expect(err.message).to.equal(
+          'Source is shorter than the declared size'
+        );
+      });
+    });
+
+  });
+
+  describe('#_listFiles', function() {
+
+    it('should list and serve files by their decrypted names', function() {
+      var data = crypto.randomBytes(1000);
+
+      return client.createToken(bucket.id, 'PUSH').then(function(token) {
+        return client.storeFileInBucket(bucket.id, token.token, data, {
+          filename: 'secret.bin',
+          encryptMetadata: true
+        });
+      }).then(function() {
+        return send(gatewayUrl, 'GET', '/test');
+      }).then(function(res) {
+        expect(res.body.toString()).to.contain('<Key>secret.bin</Key>');
+        expect(res.body.toString()).to.not.contain('storj-meta:');
+        return send(gatewayUrl, 'GET', '/test/secret.bin');
+      }).then(function(res) {
+        expect(res.statusCode).to.equal(200);
+        expect(res.body.equals(data)).to.equal(true);
+        return send(gatewayUrl, 'DELETE', '/test/secret.bin');
+      }).then(function(res) {
+        expect(res.statusCode).to.equal(204);
+        return client.listFilesInBucket(bucket.id);
+      }).then(function(files) {
+        expect(files).to.have.lengthOf(0);
+      });
+    });
+
+    it('should leave out names it cannot decrypt', function() {
+      var data = crypto.randomBytes(1000);
+      var stranger = new S3Gateway(new Client(mockBridge.url, {
+        keypair: client._options.keypair,
+        requestRetries: 0
+      }));
+
+      return client.createToken(bucket.id, 'PUSH').then(function(token) {
+        return client.storeFileInBucket(bucket.id, token.token, data, {
+          filename: 'secret.bin',
+          encryptMetadata: true
+        });
+      }).then(function() {
+        return stranger._listFiles(bucket.id);
+      }).then(function(files) {
+        expect(files).to.deep.equal([]);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var http = require('http');
+var request = require('request');
+var expect = require('chai').expect;
+var KeyPair = require('../lib/keypair');
+var signing = require('../lib/signing');
+
+describe('signing', function() {
+
+  describe('#createContract', function() {
+
+    it('should serialize the query for GET and DELETE', function() {
+      expect(signing.createContract('GET', '/contacts', {
+        page: 1,
+        connected: true
+      })).to.equal('GET\n/contacts\npage=1&connected=true');
+    });
+
+    it('should leave out undefined query parameters', function() {
+      expect(signing.createContract('GET', '/contacts', {
+        page: 1,
+        connected: undefined
+      })).to.equal('GET\n/contacts\npage=1');
+    });
+
+    it('should serialize the JSON body for other methods', function() {
+      expect(signing.createContract('POST', '/buckets', {
+        name: 'test'
+      })).to.equal('POST\n/buckets\n{"name":"test"}');
+    });
+
+  });
+
+  describe('#createMiddleware', function() {
+
+    var keypair = new KeyPair();
+    var server, url, verified;
+
+    beforeEach(function(done) {
+      var verify = signing.createMiddleware();
+
+      verified = [];
+      server = http.createServer(function(req, res) {
+        verify(req, res, function(err) {
+          verified.push(err || req.pubkey);
+          res.writeHead(err ? 401 : 200);
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', function() {
+        url = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    function send(opts, callback) {
+      opts.baseUrl = url;
+      request(signing.signRequest(opts, keypair), callback);
+    }
+
+    it('should verify a GET with undefined query parameters', function(done) {
+      send({
+        method: 'GET',
+        uri: '/contacts',
+        qs: { page: 1, connected: undefined, __nonce: 'nonce' },
+        json: true
+      }, function(err, res) {
+        expect(err).to.equal(null);
+        expect(res.statusCode).to.equal(200);
+        expect(verified).to.deep.equal([keypair.getPublicKey()]);
+        done();
+      });
+    });
+
+    it('should verify a signed JSON body', function(done) {
+      send({
+        method: 'POST',
+        uri: '/buckets',
+        json: { name: 'test', __nonce: 'nonce' }
+      }, function(err, res) {
+        expect(err).to.equal(null);
+        expect(res.statusCode).to.equal(200);
+        done();
+      });
+    });
+
+    it('should reject a request whose query was changed', function(done) {
+      var opts = signing.signRequest({
+        method: 'GET',
+        uri: '/contacts',
+        qs: { page: 1 },
+        json: true
+      }, keypair);
+
+      opts.baseUrl = url;
+      opts.qs.page = 2;
+      request(opts, function(err, res) {
+        expect(err).to.equal(null);
+        expect(res.statusCode).to.equal(401);
+        expect(verified[0].message).to.equal('Invalid signature');
+        done();
+      });
+    });
+
+  });
+
+});
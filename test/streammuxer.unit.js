@@ -0,0 +1,106 @@
+'use strict';
+
+var stream = require('stream');
+var expect = require('chai').expect;
+var StreamMuxer = require('../lib/streammuxer');
+
+describe('StreamMuxer', function() {
+
+  describe('@constructor', function() {
+
+    it('should create an instance without the new keyword', function() {
+      expect(StreamMuxer({ shards: 1, length: 1 })).to.be.instanceOf(
+        StreamMuxer
+      );
+    });
+
+    it('should throw with 0 shards or 0 length', function() {
+      expect(function() {
+        StreamMuxer({ shards: 0, length: 1 });
+      }).to.throw('Cannot multiplex a 0 shard stream');
+      expect(function() {
+        StreamMuxer({ shards: 1, length: 0 });
+      }).to.throw('Cannot multiplex a 0 length stream');
+    });
+
+  });
+
+  describe('#input', function() {
+
+    it('should throw if the inputs exceed the shards', function() {
+      var muxer = new StreamMuxer({ shards: 1, length: 2 });
+
+      muxer.input(new stream.PassThrough());
+      expect(function() {
+        muxer.input(new stream.PassThrough());
+      }).to.throw('Inputs exceed defined number of shards');
+    });
+
+  });
+
+  describe('#_read', function() {
+
+    it('should join the inputs in order as they end', function(done) {
+      var muxer = new StreamMuxer({ shards: 3, length: 9 });
+      var inputs = [0, 1, 2].map(function() {
+        return new stream.PassThrough();
+      });
+      var chunks = [];
+
+      inputs.forEach(muxer.input.bind(muxer));
+      muxer.on('data', function(chunk) {
+        chunks.push(chunk);
+      }).on('end', function() {
+        expect(Buffer.concat(chunks).toString()).to.equal('aaabbbccc');
+        done();
+      });
+
+      inputs[2].end(Buffer.from('ccc'));
+      inputs[1].end(Buffer.from('bbb'));
+      setImmediate(function() {
+        inputs[0].end(Buffer.from('aaa'));
+      });
+    });
+
+    it('should emit an error if the inputs exceed the length', function(done) {
+      var muxer = new StreamMuxer({ shards: 1, length: 2 });
+      var input = new stream.PassThrough();
+
+      muxer.input(input);
+      muxer.on('error', function(err) {
+        expect(err.message).to.equal('Input exceeds the declared length');
+        done();
+      }).resume();
+      input.end(Buffer.from('abc'));
+    });
+
+  });
+
+  describe('#abort', function() {
+
+    it('should stop reading from the inputs', function(done) {
+      var muxer = new StreamMuxer({ shards: 2, length: 6 });
+      var inputs = [new stream.PassThrough(), new stream.PassThrough()];
+      var received = 0;
+
+      inputs.forEach(muxer.input.bind(muxer));
+      muxer.on('data', function(chunk) {
+        received += chunk.length;
+      }).on('end', function() {
+        done(new Error('Expected the muxer not to end'));
+      });
+
+      inputs[0].end(Buffer.from('aaa'));
+      setImmediate(function() {
+        muxer.abort();
+        inputs[1].end(Buffer.from('bbb'));
+        setTimeout(function() {
+          expect(received).to.equal(3);
+          done();
+        }, 20);
+      });
+    });
+
+  });
+
+});
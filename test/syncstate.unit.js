@@ -0,0 +1,72 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var SyncState = require('../lib/syncstate');
+
+describe('SyncState', function() {
+
+  var tmpdir, statePath;
+
+  beforeEach(function() {
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'syncstate-'));
+    statePath = path.join(tmpdir, 'state.json');
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(statePath)) {
+      fs.unlinkSync(statePath);
+    }
+    fs.rmdirSync(tmpdir);
+  });
+
+  describe('@constructor', function() {
+
+    it('should throw without a path', function() {
+      expect(function() {
+        SyncState();
+      }).to.throw('Invalid path supplied to sync state');
+    });
+
+    it('should start empty if no state is saved', function() {
+      var state = new SyncState(statePath);
+
+      expect(state.getBucket()).to.equal(null);
+      expect(state.getPaths()).to.deep.equal([]);
+    });
+
+  });
+
+  describe('#set', function() {
+
+    it('should save the entry for the next instance', function() {
+      var state = new SyncState(statePath);
+      var entry = { size: 1, mtime: 2, hash: 'hash', id: 'id' };
+
+      state.setBucket('bucket');
+      state.set('a.txt', entry);
+
+      state = new SyncState(statePath);
+      expect(state.getBucket()).to.equal('bucket');
+      expect(state.get('a.txt')).to.deep.equal(entry);
+      expect(fs.existsSync(statePath + '.tmp')).to.equal(false);
+    });
+
+  });
+
+  describe('#remove', function() {
+
+    it('should remove the entry', function() {
+      var state = new SyncState(statePath);
+
+      state.set('a.txt', { size: 1, mtime: 2, hash: 'hash', id: 'id' });
+      state.remove('a.txt');
+
+      expect(new SyncState(statePath).get('a.txt')).to.equal(null);
+    });
+
+  });
+
+});